@@ -0,0 +1,50 @@
+// helpers/attendanceAudit.js
+const Attendance = require("../models/Attendance");
+const AttendanceChange = require("../models/AttendanceChange");
+
+// Append history rows; `changes` may be empty
+async function recordAttendanceChanges(changes) {
+  if (!changes.length) return;
+  await AttendanceChange.insertMany(changes);
+}
+
+// One history row for an Attendance document going from `fromStatus` to its current status
+const changeFor = (attendance, fromStatus, { actor = null, reason, source, correction } = {}) => ({
+  attendance: attendance._id,
+  course: attendance.course,
+  session: attendance.session,
+  student: attendance.student,
+  fromStatus: fromStatus ?? null,
+  toStatus: attendance.status ?? null,
+  actor,
+  reason,
+  source,
+  correction,
+});
+
+/**
+ * Upsert one Attendance record and log the status change, if any.
+ * `filter` is the unique key (course, semester, student, session),
+ * `fields` the rest of the document. Returns the saved record.
+ */
+async function setAttendanceStatus(filter, fields, meta) {
+  const before = await Attendance.findOneAndUpdate(
+    filter,
+    { ...filter, ...fields },
+    { new: false, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  ).lean();
+
+  const attendance = await Attendance.findOne(filter);
+
+  if (!before || before.status !== attendance.status) {
+    await recordAttendanceChanges([changeFor(attendance, before?.status, meta)]);
+  }
+
+  return attendance;
+}
+
+module.exports = {
+  recordAttendanceChanges,
+  changeFor,
+  setAttendanceStatus,
+};
@@ -0,0 +1,142 @@
+// helpers/attendanceHelpers.js
+
+// Everything an Attendance record may hold; "N/A" is legacy/unmarked.
+// "Partial": a check-out session where the student scanned only once or left early.
+const ATTENDANCE_STATUSES = ["Present", "Late", "Partial", "Excused", "Absent", "N/A"];
+
+// What a lecturer or admin may set by hand
+const MARKABLE_STATUSES = ["Present", "Late", "Partial", "Excused", "Absent"];
+
+// Course.attendancePolicy defaults: lateness off, Late and Partial worth half, Excused worth a full class
+const DEFAULT_ATTENDANCE_POLICY = {
+  lateAfterMinutes: null,
+  lateWeight: 0.5,
+  partialWeight: 0.5,
+  excusedWeight: 1,
+  spotCheckAction: "flag",
+};
+
+function getAttendancePolicy(course) {
+  const policy = course?.attendancePolicy || {};
+
+  return {
+    lateAfterMinutes: policy.lateAfterMinutes ?? DEFAULT_ATTENDANCE_POLICY.lateAfterMinutes,
+    lateWeight: policy.lateWeight ?? DEFAULT_ATTENDANCE_POLICY.lateWeight,
+    partialWeight: policy.partialWeight ?? DEFAULT_ATTENDANCE_POLICY.partialWeight,
+    excusedWeight: policy.excusedWeight ?? DEFAULT_ATTENDANCE_POLICY.excusedWeight,
+    spotCheckAction: policy.spotCheckAction ?? DEFAULT_ATTENDANCE_POLICY.spotCheckAction,
+  };
+}
+
+// "present" / "LATE" → canonical status; throws 400 for anything else
+function normalizeMarkStatus(status = "Present") {
+  const match = MARKABLE_STATUSES.find(
+    s => s.toLowerCase() === String(status).trim().toLowerCase()
+  );
+  if (!match) {
+    throw { status: 400, msg: `Invalid status. Use one of: ${MARKABLE_STATUSES.join(", ")}` };
+  }
+  return match;
+}
+
+// Present, or Late once the course's cutoff after Session.createdAt has passed
+function resolveScanStatus(session, course, at = new Date()) {
+  const { lateAfterMinutes } = getAttendancePolicy(course);
+  if (!lateAfterMinutes || !session?.createdAt) return "Present";
+
+  const minutesIn = (at - new Date(session.createdAt)) / 60000;
+  return minutesIn > lateAfterMinutes ? "Late" : "Present";
+}
+
+/**
+ * Final status for a two-phase check-out. Presence runs from check-in to the
+ * moment the lecturer opened check-out, as a share of the class up to then.
+ * Enough presence → Present / Late as for a normal scan, otherwise Partial.
+ */
+function resolveCheckoutStatus(session, course, checkInAt) {
+  const start = new Date(session.createdAt).getTime();
+  const end = new Date(session.checkoutOpenedAt).getTime();
+  const covered = end - Math.max(new Date(checkInAt).getTime(), start);
+
+  const presencePercent = end > start
+    ? Math.min(Math.max((covered / (end - start)) * 100, 0), 100)
+    : 100;
+
+  const status = presencePercent >= (session.minPresencePercent ?? 75)
+    ? resolveScanStatus(session, course, checkInAt)
+    : "Partial";
+
+  return { status, presencePercent: Number(presencePercent.toFixed(1)) };
+}
+
+// Absent written by markAbsenteesForSession (no marker): not a human decision,
+// so late-arriving paper / offline marks may replace it
+const isSweepAbsence = (record) => record?.status === "Absent" && !record.markedBy;
+
+// $group accumulators counting each status separately
+const statusCountStages = () => ({
+  present: { $sum: { $cond: [{ $eq: ["$status", "Present"] }, 1, 0] } },
+  late: { $sum: { $cond: [{ $eq: ["$status", "Late"] }, 1, 0] } },
+  partial: { $sum: { $cond: [{ $eq: ["$status", "Partial"] }, 1, 0] } },
+  excused: { $sum: { $cond: [{ $eq: ["$status", "Excused"] }, 1, 0] } },
+  absent: { $sum: { $cond: [{ $eq: ["$status", "Absent"] }, 1, 0] } },
+});
+
+function countStatuses(records) {
+  const counts = { present: 0, late: 0, partial: 0, excused: 0, absent: 0 };
+  for (const r of records) {
+    if (r.status === "Present") counts.present++;
+    else if (r.status === "Late") counts.late++;
+    else if (r.status === "Partial") counts.partial++;
+    else if (r.status === "Excused") counts.excused++;
+    else if (r.status === "Absent") counts.absent++;
+  }
+  return counts;
+}
+
+/**
+ * Weighted attendance for one student in one course.
+ * attended = Present + Late × lateWeight + Partial × partialWeight + Excused × excusedWeight
+ * Score keeps the old XP rule: attended / planned × 10, floored to 2 dp.
+ */
+function summarizeAttendance(counts, policy, totalPlanned) {
+  const { present = 0, late = 0, partial = 0, excused = 0, absent = 0 } = counts;
+  const classesHeld = present + late + partial + excused + absent;
+
+  const attended =
+    present +
+    late * policy.lateWeight +
+    partial * policy.partialWeight +
+    excused * policy.excusedWeight;
+
+  const attendancePercentage = classesHeld > 0 ? (attended / classesHeld) * 100 : 0;
+
+  const rawScore = totalPlanned > 0 ? (attended / totalPlanned) * 10 : 0;
+  const score = Math.floor(rawScore * 100) / 100;
+
+  return {
+    classesHeld,
+    present,
+    late,
+    partial,
+    excused,
+    absent,
+    attended,
+    attendancePercentage,
+    score,
+  };
+}
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  MARKABLE_STATUSES,
+  DEFAULT_ATTENDANCE_POLICY,
+  getAttendancePolicy,
+  normalizeMarkStatus,
+  resolveScanStatus,
+  resolveCheckoutStatus,
+  isSweepAbsence,
+  statusCountStages,
+  countStatuses,
+  summarizeAttendance,
+};
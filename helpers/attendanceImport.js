@@ -0,0 +1,238 @@
+// helpers/attendanceImport.js
+const { v4: uuidv4 } = require("uuid");
+const Attendance = require("../models/Attendance");
+const Enrollment = require("../models/Enrollment");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { parseCsv } = require("../utils/csv");
+const { getLagosDateTime } = require("../utils/timetable");
+const { normalizeMarkStatus, isSweepAbsence } = require("./attendanceHelpers");
+const { STATUS_CODES } = require("./registerHelpers");
+const { setAttendanceStatus } = require("./attendanceAudit");
+
+const MAX_IMPORT_ROWS = 2000;
+const DEFAULT_IMPORT_TIME = "08:00";
+const IMPORTED_SESSION_MINUTES = 60;
+
+const STUDENT_COLUMNS = ["studentid", "matric", "matricno", "matricnumber"];
+const STATUS_COLUMNS = ["status", "attendance", "mark"];
+const REASON_COLUMNS = ["reason", "note", "remarks"];
+
+// Register codes (P/L/E/A) as well as full status names
+const CODE_TO_STATUS = Object.fromEntries(
+  Object.entries(STATUS_CODES).map(([status, code]) => [code.toLowerCase(), status])
+);
+
+const headerKey = (value) => String(value || "").toLowerCase().replace(/[^a-z]/g, "");
+
+function parseImportStatus(value) {
+  const status = CODE_TO_STATUS[String(value || "").trim().toLowerCase()] || value;
+  return normalizeMarkStatus(status);
+}
+
+/**
+ * CSV text → [{ line, studentId, status, reason }].
+ * A header row (matric/studentId, status, reason) is optional; without one
+ * the columns are read in that order.
+ */
+function readImportRows(text) {
+  const table = parseCsv(text);
+  const firstIndex = table.findIndex(r => r.some(Boolean));
+  if (firstIndex === -1) throw { status: 400, msg: "The CSV file is empty" };
+
+  const first = table[firstIndex].map(headerKey);
+  const hasHeader = first.some(h => STUDENT_COLUMNS.includes(h));
+
+  const columns = hasHeader
+    ? {
+      studentId: first.findIndex(h => STUDENT_COLUMNS.includes(h)),
+      status: first.findIndex(h => STATUS_COLUMNS.includes(h)),
+      reason: first.findIndex(h => REASON_COLUMNS.includes(h)),
+    }
+    : { studentId: 0, status: 1, reason: 2 };
+
+  if (columns.status === -1) {
+    throw { status: 400, msg: "The CSV needs a status column (P, L, E, A or the full status)" };
+  }
+
+  const rows = [];
+  table.forEach((cells, i) => {
+    if (i < firstIndex || (hasHeader && i === firstIndex)) return;
+    if (!cells.some(Boolean)) return;
+
+    rows.push({
+      line: i + 1,
+      studentId: cells[columns.studentId] || "",
+      status: cells[columns.status] || "",
+      reason: columns.reason >= 0 ? cells[columns.reason] || "" : "",
+    });
+  });
+
+  if (!rows.length) throw { status: 400, msg: "The CSV has no attendance rows" };
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw { status: 400, msg: `A single import is limited to ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  return rows;
+}
+
+/**
+ * The session rows go into: an explicit sessionId, the course's only session
+ * on `date`, or a new MANUAL session at `date` + `time` (not created on dry runs).
+ */
+async function resolveImportSession(course, { sessionId, date, time }, { actor, dryRun }) {
+  if (sessionId) {
+    const session = await Session.findOne({ _id: sessionId, course: course._id });
+    if (!session) throw { status: 404, msg: "Session not found for this course" };
+    if (session.status === "cancelled") throw { status: 400, msg: "Session was cancelled" };
+    return { session, created: false };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+    throw { status: 400, msg: "Provide a sessionId or a date (YYYY-MM-DD)" };
+  }
+
+  const startTime = time || DEFAULT_IMPORT_TIME;
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(startTime)) {
+    throw { status: 400, msg: "time must be HH:mm" };
+  }
+
+  const dayStart = new Date(getLagosDateTime(date, "00:00"));
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+  const existing = await Session.find({
+    course: course._id,
+    status: { $ne: "cancelled" },
+    createdAt: { $gte: dayStart, $lt: dayEnd },
+  }).select("type status createdAt");
+
+  if (existing.length > 1) {
+    throw {
+      status: 409,
+      msg: "More than one session was held that day. Choose one with sessionId.",
+      sessions: existing,
+    };
+  }
+  if (existing.length === 1) {
+    return { session: await Session.findById(existing[0]._id), created: false };
+  }
+
+  const createdAt = new Date(getLagosDateTime(date, startTime));
+  if (createdAt > new Date()) throw { status: 400, msg: "Cannot import attendance for a future date" };
+
+  const fields = {
+    course: course._id,
+    semester: course.semester,
+    teacher: course.teacher || actor,
+    // Session.token is unique and not sparse, so every session needs one
+    token: uuidv4(),
+    type: "MANUAL",
+    status: "expired",
+    createdAt,
+    expiresAt: new Date(createdAt.getTime() + IMPORTED_SESSION_MINUTES * 60 * 1000),
+  };
+
+  // Dry run: describe the session without saving it
+  if (dryRun) return { session: fields, created: true };
+
+  return { session: await Session.create(fields), created: true };
+}
+
+/**
+ * Validate every row and, unless dryRun, write the accepted ones.
+ * Returns a per-row report plus totals.
+ */
+async function importAttendanceRows({ course, session, rows, actor, dryRun }) {
+  const matrics = [...new Set(rows.map(r => r.studentId).filter(Boolean))];
+
+  const students = await User.find({ studentId: { $in: matrics }, role: "student" }).select("studentId name");
+  const studentByMatric = new Map(students.map(s => [s.studentId, s]));
+
+  const enrollments = await Enrollment.find({
+    course: course._id,
+    student: { $in: students.map(s => s._id) },
+  }).select("student semester");
+  const enrollmentByStudent = new Map(enrollments.map(e => [e.student.toString(), e]));
+
+  const existing = session._id
+    ? await Attendance.find({ session: session._id, student: { $in: students.map(s => s._id) } })
+      .select("student status markedBy")
+    : [];
+  const existingByStudent = new Map(existing.map(a => [a.student.toString(), a]));
+
+  const seen = new Set();
+  const report = [];
+
+  for (const row of rows) {
+    const entry = { line: row.line, studentId: row.studentId, status: row.status };
+    const reject = (reason) => report.push({ ...entry, result: "rejected", reason });
+
+    if (!row.studentId) { reject("Missing matric number"); continue; }
+
+    let status;
+    try {
+      status = parseImportStatus(row.status);
+    } catch (err) {
+      reject(err.msg);
+      continue;
+    }
+    entry.status = status;
+
+    if (seen.has(row.studentId)) { reject("Duplicate row for this student"); continue; }
+    seen.add(row.studentId);
+
+    const student = studentByMatric.get(row.studentId);
+    if (!student) { reject("No student with this matric number"); continue; }
+    entry.name = student.name;
+
+    const enrollment = enrollmentByStudent.get(student._id.toString());
+    if (!enrollment) { reject("Student is not enrolled in this course"); continue; }
+
+    const current = existingByStudent.get(student._id.toString());
+    if (current) entry.previousStatus = current.status;
+
+    if (current?.status === status) {
+      report.push({ ...entry, result: "unchanged" });
+      continue;
+    }
+
+    // Closed registers change through correction requests, except for sweep absences
+    if (current && session.status === "expired" && !isSweepAbsence(current)) {
+      reject("Session has expired and this record was already marked. Submit a correction request.");
+      continue;
+    }
+
+    if (!dryRun) {
+      await setAttendanceStatus(
+        { course: course._id, semester: enrollment.semester, student: student._id, session: session._id },
+        {
+          sessionType: session.type,
+          status,
+          date: session.createdAt,
+          markedBy: actor,
+        },
+        { actor, reason: row.reason || "CSV import", source: "csv-import" }
+      );
+    }
+
+    report.push({ ...entry, result: "accepted" });
+  }
+
+  const count = (result) => report.filter(r => r.result === result).length;
+
+  return {
+    totals: {
+      rows: rows.length,
+      accepted: count("accepted"),
+      unchanged: count("unchanged"),
+      rejected: count("rejected"),
+    },
+    report,
+  };
+}
+
+module.exports = {
+  readImportRows,
+  resolveImportSession,
+  importAttendanceRows,
+};
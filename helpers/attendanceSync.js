@@ -0,0 +1,228 @@
+// helpers/attendanceSync.js
+//
+// Offline roll-call sync. The phone queues { opId, student, status, clientTimestamp }
+// while the hall has no signal and replays the queue later. Rules:
+//   1. An opId already seen for this lecturer returns its stored outcome (idempotent).
+//   2. Within a batch, the latest clientTimestamp per student wins.
+//   3. A face-verified QR scan is never downgraded to Absent by an offline mark.
+//   4. A server change newer than the client's mark wins (sweep absences excepted).
+//   5. Marks taken after the session closed go through correction requests instead.
+// An outcome that could not be stored comes back "failed"; the phone keeps it
+// queued and the retry settles it against whatever was already written.
+
+const Attendance = require("../models/Attendance");
+const AttendanceChange = require("../models/AttendanceChange");
+const Enrollment = require("../models/Enrollment");
+const SyncOperation = require("../models/SyncOperation");
+const { normalizeMarkStatus, isSweepAbsence } = require("./attendanceHelpers");
+const { setAttendanceStatus } = require("./attendanceAudit");
+
+const MAX_SYNC_OPERATIONS = 500;
+
+// Latest history entry per student in a session
+async function latestChanges(sessionId) {
+  const rows = await AttendanceChange.aggregate([
+    { $match: { session: sessionId } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $group: { _id: "$student", at: { $first: "$createdAt" }, source: { $first: "$source" } } },
+  ]);
+  return new Map(rows.map(r => [r._id.toString(), r]));
+}
+
+// Every enrolled student with their current status in the session
+async function buildSessionRoster(session) {
+  const [enrollments, records, changes] = await Promise.all([
+    Enrollment.find({ course: session.course }).populate("student", "name studentId profileImage"),
+    Attendance.find({ session: session._id }).select("student status markedBy faceVerified updatedAt"),
+    latestChanges(session._id),
+  ]);
+
+  const byStudent = new Map(records.map(r => [r.student.toString(), r]));
+
+  return enrollments
+    .filter(e => e.student)
+    .map(e => {
+      const id = e.student._id.toString();
+      const record = byStudent.get(id);
+      return {
+        student: {
+          _id: e.student._id,
+          name: e.student.name,
+          studentId: e.student.studentId,
+          profileImage: e.student.profileImage || "",
+        },
+        status: record?.status || null,
+        faceVerified: record?.faceVerified || false,
+        source: changes.get(id)?.source || null,
+        updatedAt: record?.updatedAt || null,
+      };
+    })
+    .sort((a, b) => (a.student.studentId || "").localeCompare(b.student.studentId || ""));
+}
+
+function normalizeOperation(op, now) {
+  const opId = String(op?.opId || "").trim();
+  if (!opId) throw { msg: "Missing opId" };
+
+  const student = String(op.student || op.studentId || "");
+  if (!/^[a-f\d]{24}$/i.test(student)) throw { opId, msg: "Invalid student id" };
+
+  const status = normalizeMarkStatus(op.status);
+
+  const stamp = new Date(op.clientTimestamp);
+  if (Number.isNaN(stamp.getTime())) throw { opId, msg: "Invalid clientTimestamp" };
+
+  // Phone clocks run fast; never trust a mark from the future
+  return { opId, student, status, clientTimestamp: stamp > now ? now : stamp };
+}
+
+// Store settled operations. A concurrent replay of the same batch makes some
+// of them duplicates, which is fine; returns the ones that failed otherwise.
+async function storeOperations(docs) {
+  try {
+    await SyncOperation.insertMany(docs, { ordered: false, throwOnValidationError: true });
+    return [];
+  } catch (err) {
+    if (!err.writeErrors?.length && !err.validationErrors?.length) throw err;
+
+    // results[i] is the stored doc, its validation error or its write error
+    return docs
+      .map((doc, i) => ({ doc, error: err.results?.[i] }))
+      .filter(({ error }) => error instanceof Error || (error?.err && error.err.code !== 11000))
+      .map(({ doc, error }) => ({ doc, msg: error.message || error.err.errmsg }));
+  }
+}
+
+/**
+ * Apply one batch for `actor` on `session`.
+ * Returns [{ opId, result, status, reason }] in the order received.
+ */
+async function syncOperations({ session, operations, actor, reason }) {
+  if (!Array.isArray(operations) || !operations.length) {
+    throw { status: 400, msg: "operations must be a non-empty array" };
+  }
+  if (operations.length > MAX_SYNC_OPERATIONS) {
+    throw { status: 400, msg: `A batch is limited to ${MAX_SYNC_OPERATIONS} operations` };
+  }
+
+  const now = new Date();
+  const outcomes = new Map(); // opId -> outcome
+  const fresh = [];
+
+  for (const op of operations) {
+    try {
+      fresh.push(normalizeOperation(op, now));
+    } catch (err) {
+      if (err.opId || op?.opId) {
+        outcomes.set(String(err.opId || op.opId), { result: "rejected", reason: err.msg });
+      }
+    }
+  }
+
+  // 1️⃣ Replays
+  const seen = await SyncOperation.find({ actor, opId: { $in: fresh.map(o => o.opId) } });
+  for (const s of seen) {
+    outcomes.set(s.opId, { result: s.result, status: s.status, reason: s.reason, replay: true });
+  }
+
+  const pending = fresh.filter(o => !outcomes.has(o.opId));
+
+  // 2️⃣ Latest mark per student wins inside the batch
+  pending.sort((a, b) => a.clientTimestamp - b.clientTimestamp);
+  const lastByStudent = new Map();
+  for (const op of pending) lastByStudent.set(op.student, op);
+
+  const enrollments = await Enrollment.find({
+    course: session.course,
+    student: { $in: [...lastByStudent.keys()] },
+  }).select("student semester");
+  const enrollmentByStudent = new Map(enrollments.map(e => [e.student.toString(), e]));
+
+  const records = await Attendance.find({
+    session: session._id,
+    student: { $in: [...lastByStudent.keys()] },
+  }).select("student status markedBy faceVerified");
+  const recordByStudent = new Map(records.map(r => [r.student.toString(), r]));
+
+  const changes = await latestChanges(session._id);
+  const closedAt = session.status === "expired" ? session.expiresAt : null;
+
+  const toStore = [];
+  let applied = 0;
+
+  for (const op of pending) {
+    const settle = (result, why, status = op.status) => {
+      outcomes.set(op.opId, { result, status, reason: why });
+      toStore.push({
+        opId: op.opId,
+        actor,
+        session: session._id,
+        student: op.student,
+        status,
+        clientTimestamp: op.clientTimestamp,
+        result,
+        reason: why,
+      });
+    };
+
+    if (lastByStudent.get(op.student) !== op) {
+      settle("conflict", "Superseded by a later mark in the same batch");
+      continue;
+    }
+
+    const enrollment = enrollmentByStudent.get(op.student);
+    if (!enrollment) { settle("rejected", "Student is not enrolled in this course"); continue; }
+
+    if (closedAt && op.clientTimestamp > closedAt) {
+      settle("rejected", "Marked after the session closed. Submit a correction request.");
+      continue;
+    }
+
+    const current = recordByStudent.get(op.student);
+    if (current?.status === op.status) { settle("unchanged"); continue; }
+
+    // 3️⃣ Scan evidence beats an offline Absent
+    if (current?.faceVerified && op.status === "Absent") {
+      settle("conflict", "Student checked in with a verified QR scan", current.status);
+      continue;
+    }
+
+    // 4️⃣ Newer server change wins
+    const lastChange = changes.get(op.student);
+    if (current && !isSweepAbsence(current) && lastChange && lastChange.at > op.clientTimestamp) {
+      settle("conflict", `Changed on the server (${lastChange.source}) after this mark`, current.status);
+      continue;
+    }
+
+    await setAttendanceStatus(
+      { course: session.course, semester: enrollment.semester, student: op.student, session: session._id },
+      {
+        sessionType: session.type,
+        status: op.status,
+        date: session.createdAt,
+        markedBy: actor,
+      },
+      { actor, reason: reason || `Offline mark ${op.opId}`, source: "offline-sync" }
+    );
+    applied++;
+    settle("applied");
+  }
+
+  // `applied` still counts the attendance writes, so listeners are told
+  for (const { doc, msg } of toStore.length ? await storeOperations(toStore) : []) {
+    console.error(`[SYNC] Could not store operation ${doc.opId}:`, msg);
+    outcomes.set(doc.opId, { result: "failed", status: doc.status, reason: "Could not save this mark. It stays queued for the next sync." });
+  }
+
+  const results = operations.map(op => {
+    const opId = String(op?.opId || "").trim();
+    return { opId: opId || null, ...(outcomes.get(opId) || { result: "rejected", reason: "Missing opId" }) };
+  });
+
+  return { applied, results };
+}
+
+module.exports = {
+  buildSessionRoster,
+  syncOperations,
+};
@@ -0,0 +1,68 @@
+// helpers/calendarHelpers.js
+const CalendarEvent = require("../models/CalendarEvent");
+const Semester = require("../models/Semester");
+const TimetableSlot = require("../models/TimetableSlot");
+const { getLocalDayKey } = require("../utils/dayKey");
+const { getDayKeysBetween, countPlannedClasses, prorateTotalClasses } = require("../utils/timetable");
+
+function semesterScope(semesterId) {
+  // Session-wide events (strikes, long breaks) apply to every semester in range
+  return semesterId
+    ? { $or: [{ semester: semesterId }, { semester: { $exists: false } }, { semester: null }] }
+    : {};
+}
+
+// Non-teaching event covering a given date, if any
+async function findNonTeachingEvent(semesterId, date = new Date()) {
+  const dayKey = getLocalDayKey(date);
+
+  return CalendarEvent.findOne({
+    ...semesterScope(semesterId),
+    nonTeaching: true,
+    startKey: { $lte: dayKey },
+    endKey: { $gte: dayKey },
+  });
+}
+
+// Set of non-teaching day keys between two dates
+async function getNonTeachingDays(semesterId, from, to) {
+  const fromKey = getLocalDayKey(from);
+  const toKey = getLocalDayKey(to);
+
+  const events = await CalendarEvent.find({
+    ...semesterScope(semesterId),
+    nonTeaching: true,
+    startKey: { $lte: toKey },
+    endKey: { $gte: fromKey },
+  }).select("startKey endKey");
+
+  const days = new Set();
+  for (const e of events) {
+    for (const key of getDayKeysBetween(e.startKey, e.endKey)) {
+      if (key >= fromKey && key <= toKey) days.add(key);
+    }
+  }
+  return days;
+}
+
+// Planned classes for a course: timetable occurrences minus non-teaching days,
+// or the admin-entered totalClasses scaled down by the closed weekdays when
+// the course has no timetable.
+async function getPlannedClasses(course) {
+  const semester = course.semester?.startDate
+    ? course.semester
+    : await Semester.findById(course.semester);
+
+  if (!semester?.startDate || !semester?.endDate) return course.totalClasses || 0;
+
+  const [slots, closedDays] = await Promise.all([
+    TimetableSlot.find({ course: course._id }),
+    getNonTeachingDays(semester._id, semester.startDate, semester.endDate),
+  ]);
+
+  return slots.length
+    ? countPlannedClasses(slots, semester, closedDays)
+    : prorateTotalClasses(course.totalClasses || 0, semester, closedDays);
+}
+
+module.exports = { findNonTeachingEvent, getNonTeachingDays, getPlannedClasses };
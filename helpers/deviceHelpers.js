@@ -0,0 +1,142 @@
+// helpers/deviceHelpers.js
+//
+// Device binding for self-scans. The client sends a stable per-install id
+// (X-Device-Id header or body.deviceId); only its SHA-256 is stored.
+
+const crypto = require("crypto");
+const User = require("../models/User");
+
+// Phones a student may scan from before an admin has to reset them
+const MAX_TRUSTED_DEVICES = Number(process.env.MAX_TRUSTED_DEVICES) || 2;
+
+// Scans this close together from one device / IP are reported as a cluster
+const PROXY_WINDOW_SECONDS = 30;
+
+const hashDeviceId = (deviceId) =>
+  crypto.createHash("sha256").update(String(deviceId)).digest("hex");
+
+// Client IP as resolved by Express ("trust proxy" in index.js decides which
+// X-Forwarded-For hop counts, so a client cannot forge it)
+const clientIp = (req) => req.ip || req.socket?.remoteAddress || "";
+
+// { hash, userAgent, ip } for the scan, or 400 without a device id
+function readScanDevice(req) {
+  const deviceId = String(req.get("x-device-id") || req.body?.deviceId || "").trim();
+  if (!deviceId || deviceId.length > 200) {
+    throw { status: 400, msg: "This app version is missing a device id. Please update.", code: "DEVICE_ID_REQUIRED" };
+  }
+
+  return {
+    hash: hashDeviceId(deviceId),
+    userAgent: String(req.get("user-agent") || "").slice(0, 300),
+    ip: clientIp(req),
+  };
+}
+
+/**
+ * Accept a scan only from one of the student's trusted devices.
+ * New devices are trusted automatically until MAX_TRUSTED_DEVICES is reached;
+ * both updates are conditional so parallel scans cannot exceed the limit.
+ */
+async function bindTrustedDevice(studentId, device) {
+  const now = new Date();
+
+  const known = await User.updateOne(
+    { _id: studentId, "trustedDevices.hash": device.hash },
+    { $set: { "trustedDevices.$.lastSeenAt": now, "trustedDevices.$.userAgent": device.userAgent } }
+  );
+  if (known.matchedCount) return { added: false };
+
+  const added = await User.updateOne(
+    {
+      _id: studentId,
+      "trustedDevices.hash": { $ne: device.hash },
+      [`trustedDevices.${MAX_TRUSTED_DEVICES - 1}`]: { $exists: false },
+    },
+    { $push: { trustedDevices: { hash: device.hash, userAgent: device.userAgent, firstSeenAt: now, lastSeenAt: now } } }
+  );
+  if (added.modifiedCount) return { added: true };
+
+  throw {
+    status: 403,
+    msg: `You can only mark attendance from your ${MAX_TRUSTED_DEVICES} registered devices. Ask an admin to reset them.`,
+    code: "DEVICE_NOT_TRUSTED",
+  };
+}
+
+// Chains of scans that are each within `windowMs` of the previous one
+function clusterByTime(records, windowMs) {
+  const sorted = [...records].sort((a, b) => a.at - b.at);
+  const clusters = [];
+  let current = [];
+
+  for (const r of sorted) {
+    if (current.length && r.at - current[current.length - 1].at > windowMs) {
+      clusters.push(current);
+      current = [];
+    }
+    current.push(r);
+  }
+  if (current.length) clusters.push(current);
+
+  return clusters;
+}
+
+/**
+ * Proxy-scan suspects in one session: several different students scanning
+ * from the same device (or IP) within `withinSeconds` of each other.
+ * `records`: Attendance docs with populated student and scanDevice.
+ */
+function findProxyClusters(records, withinSeconds = PROXY_WINDOW_SECONDS) {
+  const windowMs = withinSeconds * 1000;
+  const flags = [];
+
+  for (const kind of ["device", "ip"]) {
+    const groups = new Map();
+
+    for (const r of records) {
+      const key = kind === "device" ? r.scanDevice?.hash : r.scanDevice?.ip;
+      if (!key) continue;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({
+        at: new Date(r.scanDevice.at || r.createdAt).getTime(),
+        student: r.student,
+        status: r.status,
+        userAgent: r.scanDevice.userAgent,
+      });
+    }
+
+    for (const [key, scans] of groups) {
+      for (const cluster of clusterByTime(scans, windowMs)) {
+        const students = new Set(cluster.map(s => String(s.student?._id || s.student)));
+        if (students.size < 2) continue;
+
+        flags.push({
+          kind,
+          // Device hashes are shortened: enough to tell clusters apart
+          value: kind === "device" ? key.slice(0, 12) : key,
+          students: cluster.map(s => ({
+            _id: s.student?._id || s.student,
+            name: s.student?.name,
+            studentId: s.student?.studentId,
+            status: s.status,
+            at: new Date(s.at),
+            userAgent: s.userAgent,
+          })),
+          spanSeconds: Math.round((cluster[cluster.length - 1].at - cluster[0].at) / 1000),
+        });
+      }
+    }
+  }
+
+  // Same-device clusters first, then the tightest
+  return flags.sort((a, b) => (a.kind === b.kind ? a.spanSeconds - b.spanSeconds : a.kind === "device" ? -1 : 1));
+}
+
+module.exports = {
+  MAX_TRUSTED_DEVICES,
+  PROXY_WINDOW_SECONDS,
+  readScanDevice,
+  bindTrustedDevice,
+  findProxyClusters,
+};
@@ -0,0 +1,128 @@
+// helpers/eligibilityHelpers.js
+const mongoose = require("mongoose");
+const Attendance = require("../models/Attendance");
+const { statusCountStages } = require("./attendanceHelpers");
+
+// University rule: 75% attendance to sit the exam
+const DEFAULT_ELIGIBILITY_POLICY = {
+  threshold: 75,
+  countExcused: true,
+  countLate: true,
+  countPartial: false, // one scan / left early counts as missed unless enabled
+  graceAbsences: 0, // missed classes forgiven before the percentage is taken
+  gracePercent: 0, // points below threshold still allowed (flagged as "grace")
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_ELIGIBILITY_POLICY);
+
+// Course rule → department rule → default, field by field
+function resolveEligibilityPolicy(course, department) {
+  const coursePolicy = course?.eligibilityPolicy || {};
+  const deptPolicy = department?.eligibilityPolicy || {};
+
+  const policy = {};
+  const source = {};
+  for (const field of POLICY_FIELDS) {
+    if (coursePolicy[field] != null) {
+      policy[field] = coursePolicy[field];
+      source[field] = "course";
+    } else if (deptPolicy[field] != null) {
+      policy[field] = deptPolicy[field];
+      source[field] = "department";
+    } else {
+      policy[field] = DEFAULT_ELIGIBILITY_POLICY[field];
+      source[field] = "default";
+    }
+  }
+
+  return { ...policy, source };
+}
+
+// Request body → $set / $unset under `prefix`; null or "" clears a field
+function buildPolicyUpdate(body, prefix = "eligibilityPolicy") {
+  const $set = {};
+  const $unset = {};
+
+  for (const field of POLICY_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    const path = `${prefix}.${field}`;
+    if (body[field] === null || body[field] === "") {
+      $unset[path] = "";
+      continue;
+    }
+
+    const isFlag = typeof DEFAULT_ELIGIBILITY_POLICY[field] === "boolean";
+    const value = isFlag ? body[field] === true || body[field] === "true" : Number(body[field]);
+
+    if (!isFlag && !Number.isFinite(value)) {
+      throw { status: 400, msg: `${field} must be a number` };
+    }
+    $set[path] = value;
+  }
+
+  return { $set, $unset };
+}
+
+/**
+ * Eligibility for one student from their status counts.
+ * Missed = held - counted; grace absences come off both sides first.
+ * No classes held yet → eligible.
+ */
+function evaluateEligibility(counts, policy) {
+  const { present = 0, late = 0, partial = 0, excused = 0, absent = 0 } = counts || {};
+  const classesHeld = present + late + partial + excused + absent;
+
+  const attended =
+    present +
+    (policy.countLate ? late : 0) +
+    (policy.countPartial ? partial : 0) +
+    (policy.countExcused ? excused : 0);
+
+  const missed = classesHeld - attended;
+  const forgiven = Math.min(policy.graceAbsences, missed);
+  const counted = classesHeld - forgiven;
+
+  const percentage = counted > 0 ? (attended / counted) * 100 : 100;
+
+  let status = "barred";
+  if (percentage >= policy.threshold) status = "eligible";
+  else if (percentage >= policy.threshold - policy.gracePercent) status = "grace";
+
+  return {
+    classesHeld,
+    present,
+    late,
+    partial,
+    excused,
+    absent,
+    attended,
+    forgiven,
+    percentage: Number(percentage.toFixed(1)),
+    status,
+    eligible: status !== "barred",
+  };
+}
+
+// Same records getStudentAttendance counts: course + the enrollment's semester
+async function getCourseStatusCounts(courseId) {
+  const rows = await Attendance.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(String(courseId)) } },
+    {
+      $group: {
+        _id: { student: "$student", semester: "$semester" },
+        ...statusCountStages(),
+      },
+    },
+  ]);
+
+  return new Map(rows.map(r => [`${r._id.student}:${r._id.semester}`, r]));
+}
+
+module.exports = {
+  DEFAULT_ELIGIBILITY_POLICY,
+  resolveEligibilityPolicy,
+  buildPolicyUpdate,
+  evaluateEligibility,
+  getCourseStatusCounts,
+};
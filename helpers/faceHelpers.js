@@ -0,0 +1,32 @@
+// helpers/faceHelpers.js
+const FaceChallenge = require("../models/FaceChallenge");
+const { checkLivenessFrames } = require("../utils/face");
+
+// Consume a liveness challenge (POST /api/auth/face-challenge) and return the
+// live descriptor its frames produce
+async function consumeFaceChallenge(userId, challenge, purpose) {
+  if (!challenge?.nonce) {
+    throw { status: 400, msg: "Liveness challenge is required", code: "LIVENESS_REQUIRED" };
+  }
+
+  // Single use: flip usedAt atomically so a replay finds nothing
+  const issued = await FaceChallenge.findOneAndUpdate(
+    {
+      nonce: challenge.nonce,
+      user: userId,
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!issued) {
+    throw { status: 410, msg: "Liveness challenge expired or already used", code: "LIVENESS_EXPIRED" };
+  }
+
+  return checkLivenessFrames(challenge.frames, issued.actions);
+}
+
+module.exports = { consumeFaceChallenge };
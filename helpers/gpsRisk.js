@@ -0,0 +1,147 @@
+// helpers/gpsRisk.js
+//
+// GPS anomaly scoring. Each signal adds weight; the total (capped at 100)
+// is the risk score stored on the sample and on the Attendance record.
+// Nothing here rejects a scan: high scores go to the lecturer's review queue.
+
+const LocationSample = require("../models/LocationSample");
+const { distanceMeters } = require("../utils/geo");
+
+// Attendance with at least this score waits for the lecturer
+const REVIEW_THRESHOLD = 40;
+
+// Every signal on its own is enough for review: ZERO_DISTANCE_LOW_ACCURACY
+// used to be a hard reject, so it must never pass silently
+const SIGNAL_WEIGHTS = {
+  MATCHES_LECTURER: 50, // exactly the lecturer's coordinates (copied / replayed)
+  REUSED_COORDS: 40, // identical coordinates already seen in another session
+  IMPOSSIBLE_TRAVEL: 40, // faster than a car since the previous sample
+  ZERO_DISTANCE_LOW_ACCURACY: REVIEW_THRESHOLD, // dead-centre of the zone with a vague fix
+  CONSTANT_ACCURACY: REVIEW_THRESHOLD, // accuracy identical across recent samples
+  // Not GPS, but reviewed the same way: marked by numeric code, so nobody's face was checked
+  NO_FACE_MATCH: REVIEW_THRESHOLD,
+};
+
+// 180 km/h; anything faster between two scans is not a walk across campus
+const MAX_SPEED_MPS = 50;
+const TRAVEL_LOOKBACK_MS = 6 * 60 * 60 * 1000;
+const CONSTANT_ACCURACY_SAMPLES = 5;
+
+// Coordinates equal to ~1 cm: real fixes never repeat that exactly
+const sameCoords = (a, b) =>
+  Math.abs(a.lat - b.lat) < 1e-7 && Math.abs(a.lng - b.lng) < 1e-7;
+
+/**
+ * Score one normalized location against the student's history, then store it.
+ * `location`: { lat, lng, accuracy }; `distance`: metres from the session point.
+ * Returns { score, signals: [{ code, detail }] }.
+ */
+async function assessLocation({ studentId, session, location, distance, insideZone, source, now = new Date() }) {
+  const signals = [];
+  const add = (code, detail) => signals.push({ code, detail });
+
+  const [recent, reused] = await Promise.all([
+    LocationSample.find({ student: studentId, createdAt: { $gte: new Date(now - TRAVEL_LOOKBACK_MS) } })
+      .sort({ createdAt: -1 })
+      .limit(CONSTANT_ACCURACY_SAMPLES)
+      .lean(),
+    LocationSample.findOne({
+      student: studentId,
+      session: { $ne: session._id },
+      lat: { $gte: location.lat - 1e-7, $lte: location.lat + 1e-7 },
+      lng: { $gte: location.lng - 1e-7, $lte: location.lng + 1e-7 },
+    }).select("session createdAt").lean(),
+  ]);
+
+  const lecturer = session.location;
+  if (lecturer?.lat != null && sameCoords(location, lecturer)) {
+    add("MATCHES_LECTURER", "Coordinates are identical to the lecturer's");
+  }
+
+  if (reused) {
+    add("REUSED_COORDS", `Identical coordinates submitted on ${reused.createdAt.toISOString()}`);
+  }
+
+  // Previous sample from a different place: could the student have got here?
+  const previous = recent[0];
+  if (previous) {
+    const seconds = (now - new Date(previous.createdAt)) / 1000;
+    const moved = distanceMeters(previous.lat, previous.lng, location.lat, location.lng);
+    // Give both fixes the benefit of their accuracy circles
+    const slack = (previous.accuracy || 0) + (location.accuracy || 0);
+
+    if (seconds >= 1 && (moved - slack) / seconds > MAX_SPEED_MPS) {
+      add(
+        "IMPOSSIBLE_TRAVEL",
+        `${Math.round(moved)} m in ${Math.round(seconds)} s since the previous location`
+      );
+    }
+  }
+
+  if (recent.length >= CONSTANT_ACCURACY_SAMPLES - 1 &&
+    recent.slice(0, CONSTANT_ACCURACY_SAMPLES - 1).every(s => s.accuracy === location.accuracy)) {
+    add("CONSTANT_ACCURACY", `Accuracy stuck at ${location.accuracy} m across ${CONSTANT_ACCURACY_SAMPLES} locations`);
+  }
+
+  if (distance < 5 && location.accuracy > 30) {
+    add("ZERO_DISTANCE_LOW_ACCURACY", `${Math.round(distance)} m from the lecturer with ±${location.accuracy} m accuracy`);
+  }
+
+  const score = Math.min(
+    signals.reduce((sum, s) => sum + SIGNAL_WEIGHTS[s.code], 0),
+    100
+  );
+
+  await LocationSample.create({
+    student: studentId,
+    session: session._id,
+    course: session.course?._id || session.course,
+    lat: location.lat,
+    lng: location.lng,
+    accuracy: location.accuracy,
+    distance: Math.round(distance),
+    insideZone,
+    source,
+    riskScore: score,
+    signals,
+  });
+
+  return { score, signals };
+}
+
+// A risk result with one more signal (null risk = no location was scored)
+function addRiskSignal(risk, code, detail) {
+  const signals = [...(risk?.signals || []), { code, detail }];
+  return {
+    score: Math.min((risk?.score || 0) + SIGNAL_WEIGHTS[code], 100),
+    signals,
+  };
+}
+
+/**
+ * Attendance fields for a new risk result. Keeps the highest score and every
+ * signal seen for the record (check-in + check-out, spot-checks); queues the
+ * record for review when it crosses REVIEW_THRESHOLD and was not reviewed yet.
+ */
+function riskFields(risk, existing) {
+  if (!risk) return {};
+
+  const score = Math.max(existing?.riskScore || 0, risk.score);
+  const previous = (existing?.riskSignals || []).map(s => ({ code: s.code, detail: s.detail }));
+  const seen = new Set(previous.map(s => s.code));
+  const signals = [...previous, ...risk.signals.filter(s => !seen.has(s.code))];
+
+  const fields = { riskScore: score, riskSignals: signals };
+  if (score >= REVIEW_THRESHOLD && !existing?.riskReview?.status) {
+    fields.riskReview = { status: "pending" };
+  }
+  return fields;
+}
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  REVIEW_THRESHOLD,
+  assessLocation,
+  addRiskSignal,
+  riskFields,
+};
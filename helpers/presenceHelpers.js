@@ -0,0 +1,257 @@
+// helpers/presenceHelpers.js
+//
+// Continuous presence sessions (Session.presenceTracking). A student who
+// checks in with their own phone gets a heartbeat key; the phone then sends
+// a signed location every `heartbeatSeconds` over Socket.IO. Each heartbeat
+// is scored against the session geofence. When the session ends, the share
+// of heartbeat slots since check-in with an in-zone fix settles the status:
+//   ≥ minPresencePercent        → stays Present / Late
+//   ≥ PRESENCE_ABSENT_PERCENT   → Partial
+//   below                       → Absent
+// The check-in itself counts as the first in-zone slot. Statuses only go down.
+
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const Attendance = require("../models/Attendance");
+const PresenceHeartbeat = require("../models/PresenceHeartbeat");
+const { setAttendanceStatus } = require("./attendanceAudit");
+const { measureGeofence } = require("./venueHelpers");
+const { heartbeatKey, verifyHeartbeatSignature } = require("../utils/qrToken");
+const { userRoom } = require("../utils/socketRooms");
+
+// Less time in the zone than this is not attending at all
+const PRESENCE_ABSENT_PERCENT = 25;
+
+// Phone clocks drift; a signed heartbeat older or newer than this is refused
+const HEARTBEAT_SKEW_MS = 60 * 1000;
+
+// No heartbeat for this many intervals: the app was closed or lost signal
+const SILENT_AFTER_INTERVALS = 2;
+
+// Same cut-off as the scan geofence: network / IP locations never count
+const MAX_HEARTBEAT_ACCURACY = 300;
+
+const TRACKED_STATUSES = ["Present", "Late", "Partial"];
+const STATUS_RANK = { Absent: 0, Partial: 1, Late: 2, Present: 3 };
+
+const intervalMs = (session) => (session.heartbeatSeconds || 60) * 1000;
+
+// Attendance fields for a self check-in; manual and reverse-QR marks are not tracked
+const heartbeatFields = (session) =>
+  session.presenceTracking ? { heartbeat: { tracked: true } } : {};
+
+// What the student's phone needs to start sending heartbeats
+const heartbeatGrant = (session, studentId) =>
+  session.presenceTracking
+    ? { key: heartbeatKey(session._id.toString(), studentId.toString()), intervalSeconds: session.heartbeatSeconds }
+    : undefined;
+
+function heartbeatState(record, session, now = Date.now()) {
+  const lastAt = record.heartbeat?.lastAt;
+  if (!lastAt || now - new Date(lastAt).getTime() > SILENT_AFTER_INTERVALS * intervalMs(session)) return "silent";
+  return record.heartbeat.inside ? "inside" : "drifted";
+}
+
+// Tracked students of a session with their latest heartbeat verdict
+async function presenceRoster(session) {
+  const records = await Attendance.find({
+    session: session._id,
+    "heartbeat.tracked": true,
+    status: { $in: TRACKED_STATUSES },
+  })
+    .select("student status heartbeat")
+    .populate("student", "name studentId")
+    .lean();
+
+  const now = Date.now();
+  return records.map(r => ({
+    student: r.student,
+    status: r.status,
+    lastHeartbeatAt: r.heartbeat?.lastAt || null,
+    state: heartbeatState(r, session, now),
+  }));
+}
+
+async function presenceCounts(session) {
+  const records = await Attendance.find({
+    session: session._id,
+    "heartbeat.tracked": true,
+    status: { $in: TRACKED_STATUSES },
+  }).select("heartbeat").lean();
+
+  const counts = { tracked: records.length, inside: 0, drifted: 0, silent: 0 };
+  const now = Date.now();
+  for (const r of records) counts[heartbeatState(r, session, now)]++;
+  return counts;
+}
+
+async function emitPresenceCounts(io, session) {
+  if (!io) return;
+  const counts = await presenceCounts(session);
+
+  io.to(userRoom(session.teacher)).emit("presence-drift", {
+    courseId: session.course.toString(),
+    sessionId: session._id.toString(),
+    ...counts,
+  });
+}
+
+/**
+ * Verify, score and store one heartbeat:
+ * { sessionId, studentId, lat, lng, accuracy, sentAt (ms), signature }.
+ * studentId is the authenticated socket's user, never the client's word.
+ * Lecturers hear about it only when the student leaves or re-enters the zone.
+ */
+async function receiveHeartbeat(io, payload = {}) {
+  const { sessionId, studentId } = payload;
+  if (!mongoose.isValidObjectId(sessionId) || !mongoose.isValidObjectId(studentId)) {
+    throw { status: 400, msg: "sessionId and studentId are required" };
+  }
+
+  // 1️⃣ Signature first: forged heartbeats never reach MongoDB
+  if (!verifyHeartbeatSignature(String(sessionId), String(studentId), payload)) {
+    throw { status: 401, msg: "Invalid heartbeat signature" };
+  }
+
+  const now = Date.now();
+  const sentAt = Number(payload.sentAt);
+  if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > HEARTBEAT_SKEW_MS) {
+    throw { status: 400, msg: "Heartbeat timestamp is out of range. Check the phone's clock." };
+  }
+
+  const point = { lat: Number(payload.lat), lng: Number(payload.lng), accuracy: Number(payload.accuracy) };
+  if (!Number.isFinite(point.lat) || !Number.isFinite(point.lng) || !Number.isFinite(point.accuracy)) {
+    throw { status: 400, msg: "Invalid GPS data" };
+  }
+
+  const session = await Session.findById(sessionId)
+    .select("course teacher status expiresAt location presenceTracking heartbeatSeconds");
+  if (!session || !session.presenceTracking || session.status !== "active" || new Date() > session.expiresAt) {
+    throw { status: 410, msg: "This session is not tracking presence" };
+  }
+
+  // 2️⃣ Only students who checked in themselves
+  const record = await Attendance.findOne({ session: session._id, student: studentId })
+    .select("status heartbeat")
+    .lean();
+  if (!record?.heartbeat?.tracked || !TRACKED_STATUSES.includes(record.status)) {
+    throw { status: 403, msg: "Check in before sending heartbeats" };
+  }
+
+  const lastAt = record.heartbeat.lastAt ? new Date(record.heartbeat.lastAt).getTime() : 0;
+  if (now - lastAt < intervalMs(session) / 2) {
+    throw { status: 429, msg: "Heartbeat sent too soon" };
+  }
+
+  // 3️⃣ Score against the geofence; a weak fix never counts as inside
+  const zone = measureGeofence(session, point);
+  const inside = point.accuracy <= MAX_HEARTBEAT_ACCURACY && zone.inside;
+
+  // Strictly increasing sentAt: a captured heartbeat cannot be replayed
+  const result = await Attendance.updateOne(
+    {
+      _id: record._id,
+      $or: [
+        { "heartbeat.lastSentAt": { $exists: false } },
+        { "heartbeat.lastSentAt": { $lt: new Date(sentAt) } },
+      ],
+    },
+    {
+      $set: {
+        "heartbeat.lastAt": new Date(now),
+        "heartbeat.lastSentAt": new Date(sentAt),
+        "heartbeat.inside": inside,
+      },
+    }
+  );
+  if (!result.modifiedCount) throw { status: 409, msg: "Heartbeat already received" };
+
+  await PresenceHeartbeat.create({
+    session: session._id,
+    student: studentId,
+    lat: point.lat,
+    lng: point.lng,
+    accuracy: point.accuracy,
+    sentAt: new Date(sentAt),
+    outsideBy: Math.round(zone.outsideBy),
+    inside,
+  });
+
+  if (record.heartbeat.inside !== inside) await emitPresenceCounts(io, session);
+
+  return { inside, outsideBy: Math.round(zone.outsideBy), nextInSeconds: session.heartbeatSeconds };
+}
+
+// Share of heartbeat slots from check-in to `end` holding an in-zone heartbeat
+function presencePercentFor(record, beats, session, end) {
+  const interval = intervalMs(session);
+  const start = new Date(record.checkInAt || record.createdAt).getTime();
+  const expected = Math.max(1, Math.ceil((end - start) / interval));
+
+  const slots = new Set([0]); // the check-in scan passed the geofence
+  for (const at of beats) {
+    const slot = Math.floor((at - start) / interval);
+    if (slot >= 0 && slot < expected) slots.add(slot);
+  }
+
+  return Number(Math.min((slots.size / expected) * 100, 100).toFixed(1));
+}
+
+// Called once when the session ends (session.expiresAt is the end time)
+async function settlePresence(session) {
+  if (!session.presenceTracking) return;
+
+  const end = new Date(session.expiresAt).getTime();
+  const [records, beats] = await Promise.all([
+    Attendance.find({
+      session: session._id,
+      "heartbeat.tracked": true,
+      status: { $in: TRACKED_STATUSES },
+    }).select("course semester student session status checkInAt createdAt"),
+    PresenceHeartbeat.find({ session: session._id, inside: true }).select("student createdAt").lean(),
+  ]);
+
+  const beatsByStudent = new Map();
+  for (const b of beats) {
+    const id = b.student.toString();
+    if (!beatsByStudent.has(id)) beatsByStudent.set(id, []);
+    beatsByStudent.get(id).push(new Date(b.createdAt).getTime());
+  }
+
+  const minPresent = session.minPresencePercent ?? 75;
+
+  for (const record of records) {
+    const presencePercent = presencePercentFor(
+      record,
+      beatsByStudent.get(record.student.toString()) || [],
+      session,
+      end
+    );
+
+    const earned = presencePercent >= minPresent
+      ? record.status
+      : presencePercent >= PRESENCE_ABSENT_PERCENT ? "Partial" : "Absent";
+    const status = STATUS_RANK[earned] < STATUS_RANK[record.status] ? earned : record.status;
+
+    if (status === record.status) {
+      await Attendance.updateOne({ _id: record._id }, { $set: { presencePercent } });
+      continue;
+    }
+
+    await setAttendanceStatus(
+      { course: record.course, semester: record.semester, student: record.student, session: record.session },
+      { status, presencePercent },
+      { reason: `In the zone for ${presencePercent}% of the class`, source: "presence-tracking" }
+    );
+  }
+}
+
+module.exports = {
+  PRESENCE_ABSENT_PERCENT,
+  heartbeatFields,
+  heartbeatGrant,
+  presenceRoster,
+  presenceCounts,
+  receiveHeartbeat,
+  settlePresence,
+};
@@ -0,0 +1,142 @@
+// helpers/registerHelpers.js
+const Attendance = require("../models/Attendance");
+const Enrollment = require("../models/Enrollment");
+const Session = require("../models/Session");
+const { getPlannedClasses } = require("./calendarHelpers");
+const { getAttendancePolicy, countStatuses, summarizeAttendance } = require("./attendanceHelpers");
+
+// Cell codes used on the paper register
+const STATUS_CODES = {
+  Present: "P",
+  Late: "L",
+  Partial: "H",
+  Excused: "E",
+  Absent: "A",
+  "N/A": "-",
+};
+
+const formatSessionLabel = (date) =>
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone: "Africa/Lagos",
+    day: "2-digit",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  }).format(new Date(date));
+
+/**
+ * Students × sessions grid for one course.
+ * `dateRange` is a buildDateRangeFilter result (or null for everything);
+ * it is matched against Session.createdAt, which is what Attendance.date holds.
+ */
+async function buildRegisterGrid(course, dateRange) {
+  const sessionFilter = { course: course._id, status: { $ne: "cancelled" } };
+  if (dateRange) sessionFilter.createdAt = dateRange;
+
+  const [sessions, enrollments, totalPlanned] = await Promise.all([
+    Session.find(sessionFilter).select("type status createdAt").sort({ createdAt: 1 }),
+    Enrollment.find({ course: course._id }).populate("student", "name studentId"),
+    getPlannedClasses(course),
+  ]);
+
+  const records = sessions.length
+    ? await Attendance.find({
+      course: course._id,
+      session: { $in: sessions.map(s => s._id) },
+    }).select("student session status")
+    : [];
+
+  const byStudent = new Map();
+  for (const r of records) {
+    const key = r.student.toString();
+    if (!byStudent.has(key)) byStudent.set(key, new Map());
+    byStudent.get(key).set(r.session.toString(), r.status);
+  }
+
+  const policy = getAttendancePolicy(course);
+
+  const rows = enrollments
+    .filter(e => e.student)
+    .sort((a, b) => (a.student.studentId || "").localeCompare(b.student.studentId || ""))
+    .map((e, i) => {
+      const statuses = byStudent.get(e.student._id.toString()) || new Map();
+      const cells = sessions.map(s => statuses.get(s._id.toString()) || null);
+      const stats = summarizeAttendance(
+        countStatuses(cells.filter(Boolean).map(status => ({ status }))),
+        policy,
+        totalPlanned
+      );
+
+      return {
+        index: i + 1,
+        studentId: e.student.studentId || "",
+        name: e.student.name,
+        cells: cells.map(status => (status ? STATUS_CODES[status] || status : "")),
+        present: stats.present,
+        late: stats.late,
+        partial: stats.partial,
+        excused: stats.excused,
+        absent: stats.absent,
+        classesHeld: stats.classesHeld,
+        percentage: Number(stats.attendancePercentage.toFixed(1)),
+        score: Number(stats.score.toFixed(2)),
+      };
+    });
+
+  return {
+    course,
+    policy,
+    totalPlanned,
+    sessions: sessions.map(s => ({
+      _id: s._id,
+      type: s.type,
+      status: s.status,
+      createdAt: s.createdAt,
+      label: `${formatSessionLabel(s.createdAt)} ${s.type}`,
+    })),
+    rows,
+    generatedAt: new Date(),
+  };
+}
+
+// Header + body rows shared by CSV and XLSX
+function registerTable(grid) {
+  const header = [
+    "S/N",
+    "Matric No",
+    "Name",
+    ...grid.sessions.map(s => s.label),
+    "Present",
+    "Late",
+    "Partial",
+    "Excused",
+    "Absent",
+    "Classes Held",
+    "Attendance %",
+    "Score",
+  ];
+
+  const body = grid.rows.map(r => [
+    r.index,
+    r.studentId,
+    r.name,
+    ...r.cells,
+    r.present,
+    r.late,
+    r.partial,
+    r.excused,
+    r.absent,
+    r.classesHeld,
+    r.percentage,
+    r.score,
+  ]);
+
+  return { header, body };
+}
+
+module.exports = {
+  STATUS_CODES,
+  buildRegisterGrid,
+  registerTable,
+};
@@ -0,0 +1,97 @@
+// helpers/venueHelpers.js
+const mongoose = require("mongoose");
+const Venue = require("../models/Venue");
+const { distanceMeters, distanceToPolygon, polygonCenter, polygonRadius } = require("../utils/geo");
+
+// GPS accuracy forgiven outside a venue boundary is capped: a ±300 m fix
+// would otherwise admit the next building
+const MAX_VENUE_SLACK = 50;
+
+// Request body polygon → [{ lat, lng }]; accepts [{lat,lng}] or [[lat, lng]]
+function normalizePolygon(points) {
+  if (!Array.isArray(points)) throw { status: 400, msg: "polygon must be a list of points" };
+
+  const polygon = points.map(p => ({
+    lat: Number(Array.isArray(p) ? p[0] : p?.lat),
+    lng: Number(Array.isArray(p) ? p[1] : p?.lng),
+  }));
+
+  if (polygon.some(p => !Number.isFinite(p.lat) || !Number.isFinite(p.lng) ||
+    Math.abs(p.lat) > 90 || Math.abs(p.lng) > 180)) {
+    throw { status: 400, msg: "Every polygon point needs a valid lat and lng" };
+  }
+
+  // Drop an explicit closing point
+  const first = polygon[0];
+  const last = polygon[polygon.length - 1];
+  if (polygon.length > 3 && first.lat === last.lat && first.lng === last.lng) polygon.pop();
+
+  if (polygon.length < 3 || polygon.length > 100) {
+    throw { status: 400, msg: "A venue boundary needs between 3 and 100 points" };
+  }
+
+  return polygon;
+}
+
+async function loadActiveVenue(venueId) {
+  if (!mongoose.isValidObjectId(venueId)) throw { status: 400, msg: "Invalid venue id" };
+  const venue = await Venue.findOne({ _id: venueId, active: true });
+  if (!venue) throw { status: 404, msg: "Venue not found" };
+  return venue;
+}
+
+/**
+ * Session.location for a venue: the polygon is copied so later edits to the
+ * venue never move the zone of sessions already held there. lat/lng/radius
+ * describe the covering circle for maps and older clients.
+ */
+function venueGeofence(venue) {
+  const polygon = venue.polygon.map(p => ({ lat: p.lat, lng: p.lng }));
+  const center = polygonCenter(polygon);
+
+  return {
+    lat: center.lat,
+    lng: center.lng,
+    radius: Math.ceil(polygonRadius(polygon, center)),
+    accuracy: 0,
+    polygon,
+  };
+}
+
+/**
+ * Accuracy-aware geofence for a normalized { lat, lng, accuracy } against a
+ * session: the venue polygon when there is one, else the lecturer's circle.
+ * Returns { distance, outsideBy, allowedDistance, inVenue, inside };
+ * `distance` is always metres from the session point.
+ */
+function measureGeofence(session, point) {
+  const zone = session.location;
+  const distance = distanceMeters(point.lat, point.lng, Number(zone.lat), Number(zone.lng));
+  const inVenue = zone.polygon?.length >= 3;
+
+  let outsideBy;
+  let allowedDistance;
+  if (inVenue) {
+    // Metres beyond the boundary, forgiven up to the fix's accuracy (capped)
+    outsideBy = distanceToPolygon(point, zone.polygon);
+    allowedDistance = Math.min(point.accuracy, MAX_VENUE_SLACK);
+  } else {
+    outsideBy = distance;
+    allowedDistance =
+      (Number(zone.radius) || 60) +
+      Math.max(
+        point.accuracy, // student accuracy
+        Number(zone.accuracy) || 50 // lecturer accuracy
+      );
+  }
+
+  return { distance, outsideBy, allowedDistance, inVenue, inside: outsideBy <= allowedDistance };
+}
+
+module.exports = {
+  MAX_VENUE_SLACK,
+  measureGeofence,
+  normalizePolygon,
+  loadActiveVenue,
+  venueGeofence,
+};
@@ -18,12 +18,33 @@ const sessionX = require("./routes/session");
 const settingsRoutes = require("./routes/settings");
 const alumniRoutes = require("./routes/alumni");
 const adminGraduation = require("./routes/adminGraduation");
+const timetableRoutes = require("./routes/timetableRoutes");
+const calendarRoutes = require("./routes/calendarRoutes");
+const excuseRoutes = require("./routes/excuseRoutes");
+const eligibilityRoutes = require("./routes/eligibilityRoutes");
+const correctionRoutes = require("./routes/correctionRoutes");
+const spotCheckRoutes = require("./routes/spotCheckRoutes");
+const venueRoutes = require("./routes/venueRoutes");
 
 
 // store socket instance so routes can use it
 
 
 const { startAutoExpireLoop } = require("./utils/autoExpireSessions");
+const { startAutoOpenLoop } = require("./utils/autoOpenSessions");
+const { startQrRotationLoop, pushQrCode } = require("./utils/rotateQrTokens");
+const { startSpotCheckLoop } = require("./utils/autoCloseSpotChecks");
+const { receiveHeartbeat } = require("./helpers/presenceHelpers");
+const { socketAuth } = require("./middleware/authMiddleware");
+const {
+  courseRoom,
+  sessionRoom,
+  userRoom,
+  qrRoom,
+  authorizeCourseRoom,
+  authorizeSessionRoom
+} = require("./utils/socketRooms");
+const { getFaceIndex } = require("./utils/faceIndex");
 
 
 
@@ -35,6 +56,11 @@ console.log("🧩 ENV TEST:", process.env.EMAIL_USER, process.env.EMAIL_PASS ? "
 // Initialize app
 const app = express();
 
+// Proxy hops in front of the app (TRUST_PROXY, default one load balancer):
+// req.ip then comes from X-Forwarded-For without trusting client-added hops
+const trustProxy = process.env.TRUST_PROXY ?? "1";
+app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: "10mb" }));
@@ -61,6 +87,13 @@ app.use("/api/session", sessionX);
 app.use("/api/settings", settingsRoutes);
 app.use("/api/alumni", alumniRoutes);
 app.use("/api/admin", adminGraduation);
+app.use("/api/timetable", timetableRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/excuses", excuseRoutes);
+app.use("/api/eligibility", eligibilityRoutes);
+app.use("/api/attendance-corrections", correctionRoutes);
+app.use("/api/spot-checks", spotCheckRoutes);
+app.use("/api/venues", venueRoutes);
 
 
 
@@ -74,6 +107,9 @@ const io = require("socket.io")(httpServer, {
 
 // store socket instance so routes can use it
 app.set("io", io);
+
+// Every socket carries a verified user (JWT in the handshake)
+io.use(socketAuth);
 // =====================================
 
 
@@ -120,24 +156,96 @@ mongoose
     httpServer.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
 
     io.on("connection", (socket) => {
-      console.log("🔌 Client connected:", socket.id);
-
-      socket.on("join-course", (courseId) => {
-        if (!courseId) return;
-        socket.join(courseId);
-        console.log(`📌 Socket ${socket.id} joined course ${courseId}`);
+      const user = socket.data.user;
+      console.log(`🔌 Client connected: ${socket.id} | ${user.role} ${user._id}`);
+
+      // Personal room: spot-checks, presence counts, anything addressed to one person
+      socket.join(userRoom(user.id));
+
+      // Reply through the ack when the client asked for one
+      const reply = (ack, body) => {
+        if (typeof ack === "function") ack(body);
+      };
+
+      socket.on("join-course", async (courseId, ack) => {
+        try {
+          await authorizeCourseRoom(user, courseId);
+          socket.join(courseRoom(courseId));
+          console.log(`📌 Socket ${socket.id} joined course ${courseId}`);
+          reply(ack, { ok: true });
+        } catch (err) {
+          reply(ack, { ok: false, msg: err.msg || "Could not join course" });
+        }
       });
 
       socket.on("leave-course", (courseId) => {
         if (!courseId) return;
-        socket.leave(courseId);
+        socket.leave(courseRoom(courseId));
         console.log(`📤 Socket ${socket.id} left course ${courseId}`);
       });
 
-      // ===== NEW =====
-      socket.on("lecturer-location-update", ({ sessionId, location }) => {
-        // broadcast to all students in the session/course
-        io.to(sessionId).emit("student-receive-location", location);
+      socket.on("join-session", async (sessionId, ack) => {
+        try {
+          await authorizeSessionRoom(user, sessionId);
+          socket.join(sessionRoom(sessionId));
+          reply(ack, { ok: true });
+        } catch (err) {
+          reply(ack, { ok: false, msg: err.msg || "Could not join session" });
+        }
+      });
+
+      socket.on("leave-session", (sessionId) => {
+        if (!sessionId) return;
+        socket.leave(sessionRoom(sessionId));
+      });
+
+      // Lecturer projector screen subscribes to server-pushed QR codes
+      socket.on("join-session-qr", async ({ sessionId } = {}, ack) => {
+        try {
+          const session = await authorizeSessionRoom(user, sessionId, { teacherOnly: true });
+          if (session.type !== "QR") throw { msg: "QR session not found" };
+
+          socket.join(qrRoom(sessionId));
+          console.log(`📽 Socket ${socket.id} joined QR room ${sessionId}`);
+
+          // Send a fresh code straight away instead of waiting for the next tick
+          if (session.status === "active") await pushQrCode(io, session);
+
+          reply(ack, { ok: true });
+        } catch (err) {
+          reply(ack, { ok: false, msg: err.msg || "Could not join QR room" });
+        }
+      });
+
+      socket.on("leave-session-qr", (sessionId) => {
+        if (!sessionId) return;
+        socket.leave(qrRoom(sessionId));
+      });
+
+      // Continuous presence: signed location pings from the student's own phone
+      socket.on("presence-heartbeat", async (payload, ack) => {
+        try {
+          if (user.role !== "student") throw { status: 403, msg: "Only students send heartbeats" };
+
+          const result = await receiveHeartbeat(io, { ...payload, studentId: user.id });
+          reply(ack, { ok: true, ...result });
+        } catch (err) {
+          if (err.status === undefined) console.error("❌ Heartbeat failed:", err.message);
+          reply(ack, { ok: false, status: err.status, msg: err.msg || "Heartbeat failed" });
+        }
+      });
+
+      // Lecturer shares their position with the session's students
+      socket.on("lecturer-location-update", async ({ sessionId, location } = {}, ack) => {
+        try {
+          const session = await authorizeSessionRoom(user, sessionId, { teacherOnly: true });
+          if (session.status !== "active") throw { msg: "This session is no longer active" };
+
+          socket.to(sessionRoom(sessionId)).emit("student-receive-location", location);
+          reply(ack, { ok: true });
+        } catch (err) {
+          reply(ack, { ok: false, msg: err.msg || "Could not share location" });
+        }
       });
 
       socket.on("disconnect", () => {
@@ -146,6 +254,12 @@ mongoose
     });
 
     startAutoExpireLoop(io, 15 * 1000); // every 15 seconds
+    startAutoOpenLoop(io, 30 * 1000); // every 30 seconds
+    startQrRotationLoop(io); // every QR window (10 seconds)
+    startSpotCheckLoop(io, 10 * 1000); // every 10 seconds
+
+    // Warm the face index so the first enrollment doesn't pay for the build
+    getFaceIndex().catch(e => console.error("❌ Face index build failed:", e.message));
 
 
   })
@@ -2,6 +2,30 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 
+// ======================= TOKEN VERIFICATION ======================= //
+// Shared by the HTTP middleware and socket connections
+async function authenticateToken(token) {
+  if (!token) throw { status: 401, msg: "No token provided" };
+
+  // Verify JWT
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    console.error("JWT verification failed:", err.message);
+    throw { status: 401, msg: "Invalid or expired token" };
+  }
+
+  // Fetch user
+  const user = await User.findById(decoded.id).select("-password");
+  if (!user) throw { status: 404, msg: "User not found" };
+
+  // Normalize role
+  user.role = (user.role || "").toLowerCase();
+
+  return user;
+}
+
 // ======================= AUTH MIDDLEWARE ======================= //
 async function auth(req, res, next) {
   try {
@@ -11,29 +35,14 @@ async function auth(req, res, next) {
       return res.status(401).json({ msg: "Authorization header missing or invalid" });
     }
 
-    const token = authHeader.split(" ")[1];
-    if (!token) {
-      return res.status(401).json({ msg: "No token provided" });
-    }
-
-    // Verify JWT
-    let decoded;
+    let user;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
+      user = await authenticateToken(authHeader.split(" ")[1]);
     } catch (err) {
-      console.error("JWT verification failed:", err.message);
-      return res.status(401).json({ msg: "Invalid or expired token" });
+      if (!err.status) throw err;
+      return res.status(err.status).json({ msg: err.msg });
     }
 
-    // Fetch user
-    const user = await User.findById(decoded.id).select("-password");
-    if (!user) {
-      return res.status(404).json({ msg: "User not found" });
-    }
-
-    // Normalize role
-    user.role = (user.role || "").toLowerCase();
-
     // Attach user to request
     req.user = user;
 
@@ -47,6 +56,25 @@ async function auth(req, res, next) {
   }
 }
 
+// ======================= SOCKET.IO HANDSHAKE ======================= //
+// io.use(socketAuth): token from `auth: { token }` or an Authorization header
+async function socketAuth(socket, next) {
+  try {
+    const header = socket.handshake.headers?.authorization || "";
+    const token = socket.handshake.auth?.token ||
+      (header.startsWith("Bearer ") ? header.split(" ")[1] : null);
+
+    socket.data.user = await authenticateToken(token);
+    next();
+  } catch (err) {
+    if (!err.status) console.error("❌ Socket auth error:", err.message);
+
+    const error = new Error(err.msg || "Server error during authentication");
+    error.data = { status: err.status || 500 };
+    next(error);
+  }
+}
+
 // ======================= ROLE CHECK MIDDLEWARE ======================= //
 function roleCheck(allowedRoles = []) {
   return (req, res, next) => {
@@ -82,5 +110,5 @@ function studentOnly(allowGraduated = false) {
   };
 }
 
-module.exports = { auth, roleCheck, studentOnly };
+module.exports = { auth, authenticateToken, socketAuth, roleCheck, studentOnly };
 
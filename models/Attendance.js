@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { ATTENDANCE_STATUSES } = require("../helpers/attendanceHelpers");
 
 const AttendanceSchema = new mongoose.Schema(
   {
@@ -35,7 +36,7 @@ const AttendanceSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["Present", "Absent", "N/A"],
+      enum: ATTENDANCE_STATUSES,
       default: "N/A",
     },
 
@@ -49,6 +50,71 @@ const AttendanceSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Euclidean distance of the scan-time face to the enrolled one
+    faceDistance: {
+      type: Number,
+    },
+
+    // Two-phase sessions (Session.checkoutRequired)
+    checkInAt: {
+      type: Date,
+    },
+
+    checkOutAt: {
+      type: Date,
+    },
+
+    // Share of the class covered between check-in and the check-out window,
+    // or spent in the zone for continuous presence sessions
+    presencePercent: {
+      type: Number,
+    },
+
+    // Continuous presence (Session.presenceTracking): latest heartbeat verdict
+    heartbeat: {
+      tracked: { type: Boolean },
+      lastAt: { type: Date },
+      lastSentAt: { type: Date },
+      inside: { type: Boolean },
+    },
+
+    // Where a self-scan came from (helpers/deviceHelpers), for proxy-scan reports
+    scanDevice: {
+      hash: { type: String },
+      userAgent: { type: String },
+      ip: { type: String },
+      at: { type: Date },
+    },
+
+    // GPS anomaly score (helpers/gpsRisk): highest seen for this record
+    riskScore: {
+      type: Number,
+      default: 0,
+    },
+
+    riskSignals: [{ _id: false, code: String, detail: String }],
+
+    // Lecturer review of high-risk records
+    riskReview: {
+      status: { type: String, enum: ["pending", "cleared", "confirmed"] },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reviewedAt: { type: Date },
+      note: { type: String, trim: true },
+    },
+
+    // Failed spot-checks (see models/SpotCheck); flagged for the lecturer's review
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+
+    spotCheckFailures: [
+      {
+        spotCheck: { type: mongoose.Schema.Types.ObjectId, ref: "SpotCheck" },
+        at: { type: Date },
+      },
+    ],
+
     rollCallMode: {
       type: Boolean,
       default: false,
@@ -69,4 +135,10 @@ AttendanceSchema.index(
   { unique: true }
 );
 
+// Lecturer review queue
+AttendanceSchema.index(
+  { course: 1, "riskReview.status": 1 },
+  { partialFilterExpression: { "riskReview.status": "pending" } }
+);
+
 module.exports = mongoose.model("Attendance", AttendanceSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Append-only log of every Attendance status change
+const attendanceChangeSchema = new mongoose.Schema(
+  {
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attendance",
+      required: true,
+      index: true,
+    },
+
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    session: { type: mongoose.Schema.Types.ObjectId, ref: "Session", required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // null = record did not exist yet / was removed
+    fromStatus: { type: String, default: null },
+    toStatus: { type: String, default: null },
+
+    // null for system jobs (absentee sweep)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    reason: { type: String, trim: true },
+
+    // e.g. "qr", "teacher-single", "admin-bulk", "excuse", "correction"
+    source: { type: String, required: true },
+
+    correction: { type: mongoose.Schema.Types.ObjectId, ref: "AttendanceCorrection" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// ✅ History is never rewritten
+const immutable = function (next) {
+  next(new Error("Attendance history is append-only"));
+};
+
+attendanceChangeSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+    "deleteOne", "deleteMany", "findOneAndDelete"],
+  immutable
+);
+
+attendanceChangeSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Attendance history is append-only"));
+  next();
+});
+
+module.exports = mongoose.model("AttendanceChange", attendanceChangeSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// Status change requested after the session expired; applied only once approved
+const attendanceCorrectionSchema = new mongoose.Schema(
+  {
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attendance",
+      required: true,
+    },
+
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    session: { type: mongoose.Schema.Types.ObjectId, ref: "Session", required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    fromStatus: { type: String, required: true },
+    toStatus: { type: String, required: true },
+
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    requestedByRole: {
+      type: String,
+      enum: ["student", "teacher", "admin"],
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+      index: true,
+    },
+
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    decidedAt: { type: Date },
+    decisionNote: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+attendanceCorrectionSchema.index({ course: 1, status: 1, createdAt: -1 });
+
+// One open request per record
+attendanceCorrectionSchema.index(
+  { attendance: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+module.exports = mongoose.model("AttendanceCorrection", attendanceCorrectionSchema);
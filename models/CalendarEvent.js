@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const calendarEventSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true }, // e.g. "Independence Day"
+
+    type: {
+      type: String,
+      enum: ["holiday", "strike", "break", "exam", "event"],
+      default: "holiday",
+    },
+
+    // Attach to a semester, an academic session (2025/2026), or both
+    semester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Semester",
+      index: true,
+    },
+
+    academicSession: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SessionX",
+      index: true,
+    },
+
+    // Inclusive Africa/Lagos days (YYYY-MM-DD)
+    startKey: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+    endKey: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+
+    // false = informational only (classes still hold)
+    nonTeaching: { type: Boolean, default: true },
+
+    notes: { type: String, trim: true, default: "" },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+calendarEventSchema.pre("validate", function (next) {
+  if (!this.semester && !this.academicSession) {
+    this.invalidate("semester", "Calendar events need a semester or an academic session");
+  }
+  if (this.startKey && this.endKey && this.endKey < this.startKey) {
+    this.invalidate("endKey", "endKey cannot be before startKey");
+  }
+  next();
+});
+
+calendarEventSchema.index({ startKey: 1, endKey: 1 });
+
+module.exports = mongoose.model("CalendarEvent", calendarEventSchema);
@@ -38,6 +38,27 @@ const courseSchema = new mongoose.Schema(
       default: 3,
     },
 
+    // How Late / Partial / Excused count (see helpers/attendanceHelpers)
+    attendancePolicy: {
+      // Scans later than this many minutes after the session opened are Late (null = off)
+      lateAfterMinutes: { type: Number, min: 1, max: 180, default: null },
+      lateWeight: { type: Number, min: 0, max: 1, default: 0.5 },
+      partialWeight: { type: Number, min: 0, max: 1, default: 0.5 },
+      excusedWeight: { type: Number, min: 0, max: 1, default: 1 },
+      // What a failed spot-check does: flag the record, or downgrade it to Partial / Absent
+      spotCheckAction: { type: String, enum: ["flag", "partial", "absent"], default: "flag" },
+    },
+
+    // Exam eligibility; unset fields fall back to the department, then 75% defaults
+    eligibilityPolicy: {
+      threshold: { type: Number, min: 0, max: 100 },
+      countExcused: { type: Boolean },
+      countLate: { type: Boolean },
+      countPartial: { type: Boolean },
+      graceAbsences: { type: Number, min: 0 },
+      gracePercent: { type: Number, min: 0, max: 100 },
+    },
+
   },
   { timestamps: true }
 );
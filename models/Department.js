@@ -4,6 +4,16 @@ const mongoose = require("mongoose");
 const DepartmentSchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true }, // e.g. Software Engineering
   levels: [{ type: Number }], // e.g. [1, 2, 3, 4]
+
+  // Department-wide exam eligibility rules (courses may override)
+  eligibilityPolicy: {
+    threshold: { type: Number, min: 0, max: 100 },
+    countExcused: { type: Boolean },
+    countLate: { type: Boolean },
+    countPartial: { type: Boolean },
+    graceAbsences: { type: Number, min: 0 },
+    gracePercent: { type: Number, min: 0, max: 100 },
+  },
 });
 
 module.exports = mongoose.model("Department", DepartmentSchema);
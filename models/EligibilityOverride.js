@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Lecturer/admin decision that replaces the computed exam eligibility
+const eligibilityOverrideSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+
+    semester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Semester",
+      required: true,
+    },
+
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    eligible: {
+      type: Boolean,
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+eligibilityOverrideSchema.index({ course: 1, semester: 1, student: 1 }, { unique: true });
+
+module.exports = mongoose.model("EligibilityOverride", eligibilityOverrideSchema);
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// Student's request to have Absent records excused (excuse or medical leave)
+const excuseRequestSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+
+    semester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Semester",
+      required: true,
+    },
+
+    sessions: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Session" }],
+      validate: v => Array.isArray(v) && v.length > 0,
+    },
+
+    type: {
+      type: String,
+      enum: ["excuse", "medical"],
+      default: "excuse",
+    },
+
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+
+    // Supporting document (Cloudinary)
+    document: {
+      url: { type: String },
+      publicId: { type: String },
+      fileName: { type: String },
+      mimeType: { type: String },
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+      index: true,
+    },
+
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    decidedAt: {
+      type: Date,
+    },
+
+    decisionNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+excuseRequestSchema.index({ course: 1, status: 1, createdAt: -1 });
+excuseRequestSchema.index({ student: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ExcuseRequest", excuseRequestSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Server-issued liveness challenge for face enrollment / verification
+const faceChallengeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    nonce: { type: String, required: true, unique: true },
+
+    purpose: {
+      type: String,
+      enum: ["enroll", "reenroll", "verify"],
+      required: true,
+    },
+
+    // e.g. ["turn-left", "blink"]
+    actions: [{ type: String }],
+
+    usedAt: { type: Date, default: null },
+
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Mongo removes stale challenges on its own
+faceChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("FaceChallenge", faceChallengeSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Every student location submitted with a scan, code or spot-check,
+// kept for GPS anomaly scoring (helpers/gpsRisk)
+const locationSampleSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+    },
+
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+    },
+
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    accuracy: { type: Number },
+
+    // Metres from the lecturer's point and whether it passed the geofence
+    distance: { type: Number },
+    insideZone: { type: Boolean },
+
+    source: { type: String }, // qr | code | spot-check | …
+
+    riskScore: { type: Number, default: 0 },
+    signals: [{ _id: false, code: String, detail: String }],
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+locationSampleSchema.index({ student: 1, createdAt: -1 });
+locationSampleSchema.index({ student: 1, lat: 1, lng: 1 });
+
+module.exports = mongoose.model("LocationSample", locationSampleSchema);
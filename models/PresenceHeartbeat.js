@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Location pings from a student's phone during a continuous presence session
+// (Session.presenceTracking), scored against the session geofence
+const presenceHeartbeatSchema = new mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+    },
+
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    accuracy: { type: Number },
+
+    // Phone clock when signed; createdAt (server clock) is what gets scored
+    sentAt: { type: Date },
+
+    // Metres past the zone edge (0 inside) and the verdict with accuracy considered
+    outsideBy: { type: Number },
+    inside: { type: Boolean, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+presenceHeartbeatSchema.index({ session: 1, student: 1, createdAt: 1 });
+
+module.exports = mongoose.model("PresenceHeartbeat", presenceHeartbeatSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Replay guard: one row per (QR nonce, student), dropped once the code expires
+const qrTokenUseSchema = new mongoose.Schema({
+  nonce: { type: String, required: true },
+
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Session",
+    required: true,
+  },
+
+  expiresAt: { type: Date, required: true },
+});
+
+qrTokenUseSchema.index({ nonce: 1, student: 1 }, { unique: true });
+qrTokenUseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("QrTokenUse", qrTokenUseSchema);
@@ -83,50 +83,86 @@ const sessionSchema = new mongoose.Schema({
       default: 50,
     },
 
+    // Venue boundary copied at creation; when set it replaces the circle check
+    polygon: {
+      type: [{ _id: false, lat: Number, lng: Number }],
+      default: undefined,
+    },
+
   },
 
   locationLockedAt: {
     type: Date,
   },
 
+  // Timetable occurrence this session was opened for (auto-scheduled sessions)
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TimetableSlot",
+  },
 
-  // Store the rotating QR tokens (each valid for ~10 seconds)
-  validTokens: [
-    {
-      token: String,
-      expiresAt: Date,
-    },
-  ],
+  occurrenceKey: {
+    type: String, // Africa/Lagos YYYY-MM-DD of the occurrence
+  },
+
+  autoOpened: {
+    type: Boolean,
+    default: false,
+  },
+
+  venue: {
+    type: String,
+    trim: true,
+  },
+
+  // Registered venue the geofence came from (models/Venue)
+  venueRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Venue",
+  },
+
+  // Two-phase QR attendance: check-in scan, then a check-out scan once the
+  // lecturer opens the check-out window near the end of class
+  checkoutRequired: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Share of the class (check-in → check-out window) a student must cover to count as Present
+  minPresencePercent: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 75,
+  },
+
+  checkoutOpenedAt: {
+    type: Date,
+  },
+
+  // Continuous presence: checked-in phones send signed location heartbeats
+  // and the share of the class spent in the zone settles the status at the end
+  presenceTracking: {
+    type: Boolean,
+    default: false,
+  },
+
+  heartbeatSeconds: {
+    type: Number,
+    min: 15,
+    max: 300,
+    default: 60,
+  },
 
 },
   { timestamps: true }
 );
 
-// Clean expired QR tokens automatically
-sessionSchema.methods.cleanExpiredTokens = function () {
-  const now = new Date();
-  this.validTokens = this.validTokens.filter(
-    (t) => t.expiresAt > now
-  );
-  return this.save();
-};
-
-// Add a new rotating token
-sessionSchema.methods.addNewToken = async function (token, durationMs = 10000) {
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + durationMs);
-  this.validTokens.push({ token, expiresAt });
-  await this.cleanExpiredTokens(); // Keep array fresh
-  return this.save();
-};
-
-// Check if a provided token is currently valid
-sessionSchema.methods.isTokenValid = function (token) {
-  const now = new Date();
-  return this.validTokens.some(
-    (t) => t.token === token && t.expiresAt > now
-  );
-};
+// ✅ One session per timetable occurrence
+sessionSchema.index(
+  { slot: 1, occurrenceKey: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
 
 sessionSchema.pre("save", function (next) {
   if (this.type !== "QR") {
@@ -143,7 +179,8 @@ sessionSchema.pre("save", function (next) {
       this.isModified("location.lat") ||
       this.isModified("location.lng") ||
       this.isModified("location.radius") ||
-      this.isModified("location.accuracy")
+      this.isModified("location.accuracy") ||
+      this.isModified("location.polygon")
     )
   ) {
     return next(new Error("Session location is immutable"));
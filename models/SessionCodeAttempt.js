@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Brute-force guard for numeric session codes: attempts per (session, student),
+// dropped a day after the last try
+const sessionCodeAttemptSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Session",
+    required: true,
+  },
+
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  attempts: { type: Number, default: 0 },
+
+  lastAttemptAt: { type: Date, default: Date.now },
+});
+
+sessionCodeAttemptSchema.index({ session: 1, student: 1 }, { unique: true });
+sessionCodeAttemptSchema.index({ lastAttemptAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("SessionCodeAttempt", sessionCodeAttemptSchema);
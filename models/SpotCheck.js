@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// Surprise mid-lecture roll call: students who claimed presence must
+// re-confirm with GPS (and optionally face) before the deadline
+const spotCheckSchema = new mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+      index: true,
+    },
+
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    requireFace: {
+      type: Boolean,
+      default: false,
+    },
+
+    deadline: {
+      type: Date,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "open",
+      index: true,
+    },
+
+    // Students marked Present / Late / Partial when the check fired
+    targets: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+
+    responses: [
+      {
+        student: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: { type: Date },
+        faceVerified: { type: Boolean, default: false },
+      },
+    ],
+
+    // Filled in on close
+    failed: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    action: {
+      type: String,
+      enum: ["flag", "partial", "absent"],
+    },
+    closedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// One open spot-check per session at a time
+spotCheckSchema.index(
+  { session: 1 },
+  { unique: true, partialFilterExpression: { status: "open" }, name: "one_open_per_session" }
+);
+
+module.exports = mongoose.model("SpotCheck", spotCheckSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// Outcome of one offline marking operation, keyed by the client's op id
+// so a retried batch never applies the same operation twice
+const syncOperationSchema = new mongoose.Schema(
+  {
+    opId: { type: String, required: true, trim: true },
+
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+    },
+
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    status: { type: String },
+
+    clientTimestamp: { type: Date },
+
+    result: {
+      type: String,
+      enum: ["applied", "unchanged", "conflict", "rejected"],
+      required: true,
+    },
+
+    reason: { type: String },
+  },
+  { timestamps: true }
+);
+
+syncOperationSchema.index({ actor: 1, opId: 1 }, { unique: true });
+
+// Replays older than a month are not expected
+syncOperationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("SyncOperation", syncOperationSchema);
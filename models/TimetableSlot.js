@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+
+// A single change to one dated occurrence of a weekly slot
+const occurrenceExceptionSchema = new mongoose.Schema(
+  {
+    // Africa/Lagos YYYY-MM-DD of the occurrence being changed
+    dayKey: { type: String, required: true },
+
+    skipped: { type: Boolean, default: false },
+    reason: { type: String, trim: true },
+
+    // Optional one-off overrides (fall back to the slot values)
+    startTime: { type: String },
+    duration: { type: Number, min: 10, max: 180 },
+    venue: { type: String, trim: true },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { _id: false, timestamps: true }
+);
+
+const timetableSlotSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+      index: true,
+    },
+
+    semester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Semester",
+      required: true,
+    },
+
+    // 0 = Sunday ... 6 = Saturday (Africa/Lagos)
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+
+    // "HH:mm", 24h, Africa/Lagos
+    startTime: {
+      type: String,
+      required: true,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+
+    // minutes
+    duration: {
+      type: Number,
+      required: true,
+      min: 10,
+      max: 180,
+      default: 60,
+    },
+
+    venue: { type: String, trim: true, default: "" },
+
+    type: {
+      type: String,
+      enum: ["QR", "MANUAL", "ROLLCALL"],
+      default: "MANUAL",
+      set: v => (v ? v.toUpperCase() : v),
+    },
+
+    // Registered venue; its polygon wins over `location` for auto-opened QR sessions
+    venueRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Venue",
+    },
+
+    // Fixed geofence for auto-opened QR sessions (no lecturer phone involved)
+    location: {
+      lat: { type: Number },
+      lng: { type: Number },
+      radius: { type: Number, default: 60 },
+      accuracy: { type: Number, default: 50 },
+    },
+
+    active: { type: Boolean, default: true },
+
+    exceptions: [occurrenceExceptionSchema],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+timetableSlotSchema.pre("validate", function (next) {
+  if (
+    this.type === "QR" &&
+    (!Number.isFinite(this.location?.lat) || !Number.isFinite(this.location?.lng))
+  ) {
+    this.invalidate("location", "QR timetable slots need a lecture location");
+  }
+  next();
+});
+
+// Find the exception recorded for a given occurrence, if any
+timetableSlotSchema.methods.getException = function (dayKey) {
+  return this.exceptions.find(e => e.dayKey === dayKey) || null;
+};
+
+module.exports = mongoose.model("TimetableSlot", timetableSlotSchema);
@@ -1,6 +1,7 @@
 // In models/User.js
 
 const mongoose = require("mongoose");
+const { encryptBiometric, decryptBiometric } = require("../utils/biometricCrypto");
 
 const UserSchema = new mongoose.Schema(
   {
@@ -42,8 +43,25 @@ const UserSchema = new mongoose.Schema(
     resetPasswordExpires: { type: Date },
 
     gpsAllowed: { type: Boolean, default: false },
-    faceImage: { type: String }, // path to stored face image
-    faceDescriptor: { type: [Number], default: [] },
+    // Face biometrics are encrypted at rest (utils/biometricCrypto) and never
+    // loaded unless asked for with select("+faceDescriptor") / "+faceImage".
+    // Mixed so records written before encryption still load until migrated.
+    faceImage: { type: mongoose.Schema.Types.Mixed, select: false },
+    faceDescriptor: { type: mongoose.Schema.Types.Mixed, select: false },
+
+    // Devices this student may self-scan from (helpers/deviceHelpers); admins reset the list
+    trustedDevices: {
+      type: [
+        {
+          _id: false,
+          hash: { type: String, required: true }, // SHA-256 of the client's device id
+          userAgent: { type: String },
+          firstSeenAt: { type: Date },
+          lastSeenAt: { type: Date },
+        },
+      ],
+      select: false,
+    },
 
     authenticator: {
       credID: { type: String },       // Credential ID (base64)
@@ -52,7 +70,33 @@ const UserSchema = new mongoose.Schema(
     },
 
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.faceImage;
+        delete ret.faceDescriptor;
+        return ret;
+      },
+    },
+  }
 );
 
+// Only meaningful when faceDescriptor was selected
+UserSchema.methods.hasFace = function () {
+  const stored = this.faceDescriptor;
+  return Array.isArray(stored) ? stored.length > 0 : Boolean(stored);
+};
+
+UserSchema.methods.setFace = function (descriptor, image) {
+  this.faceDescriptor = encryptBiometric(descriptor);
+  this.faceImage = encryptBiometric(image);
+};
+
+// Decrypt for matching; callers must never send the result to a client
+UserSchema.methods.getFaceDescriptor = function () {
+  const descriptor = decryptBiometric(this.faceDescriptor);
+  return Array.isArray(descriptor) ? descriptor : null;
+};
+
 module.exports = mongoose.model("User", UserSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Lecture hall with a fixed polygon geofence (admin-managed).
+// QR sessions held in a venue use its polygon instead of the lecturer's phone.
+const venueSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+
+    building: {
+      type: String,
+      trim: true,
+    },
+
+    floor: {
+      type: Number,
+      default: 0,
+    },
+
+    capacity: {
+      type: Number,
+      min: 1,
+    },
+
+    // Boundary ring, at least three points, not closed (first ≠ last)
+    polygon: {
+      type: [
+        {
+          _id: false,
+          lat: { type: Number, required: true, min: -90, max: 90 },
+          lng: { type: Number, required: true, min: -180, max: 180 },
+        },
+      ],
+      validate: {
+        validator: v => Array.isArray(v) && v.length >= 3 && v.length <= 100,
+        message: "A venue boundary needs between 3 and 100 points",
+      },
+    },
+
+    // Retired venues stay for old sessions but cannot be picked
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Venue", venueSchema);
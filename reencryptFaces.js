@@ -0,0 +1,71 @@
+// Re-encrypts every stored face biometric with the current FACE_ENCRYPTION_KEY.
+// Run after rotating the key (old key in FACE_ENCRYPTION_KEY_PREVIOUS):
+//   npm run reencrypt-faces             # rewrite records
+//   npm run reencrypt-faces -- --dry-run  # only count what would change
+// Plaintext records from before encryption are sealed as well.
+
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const User = require("./models/User");
+const {
+  isCurrentKey,
+  encryptBiometric,
+  decryptBiometric,
+} = require("./utils/biometricCrypto");
+
+const FIELDS = ["faceDescriptor", "faceImage"];
+const dryRun = process.argv.includes("--dry-run");
+
+async function reencryptFaces() {
+  let scanned = 0;
+  let updated = 0;
+  let failed = 0;
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    const cursor = User.find({
+      $or: FIELDS.map(f => ({ [f]: { $exists: true, $nin: [null, []] } })),
+    })
+      .select(FIELDS.map(f => `+${f}`).join(" "))
+      .lean()
+      .cursor();
+
+    for await (const user of cursor) {
+      scanned++;
+
+      try {
+        const $set = {};
+        for (const field of FIELDS) {
+          const stored = user[field];
+          if (stored === undefined || stored === null || isCurrentKey(stored)) continue;
+          $set[field] = encryptBiometric(decryptBiometric(stored));
+        }
+
+        if (!Object.keys($set).length) continue;
+
+        if (!dryRun) await User.updateOne({ _id: user._id }, { $set });
+        updated++;
+      } catch (err) {
+        failed++;
+        console.error(`Could not re-encrypt user ${user._id}:`, err.message);
+      }
+    }
+
+    console.log(
+      `${dryRun ? "[dry run] " : ""}Scanned ${scanned}, re-encrypted ${updated}, failed ${failed}`
+    );
+    if (failed) process.exitCode = 1;
+  } catch (err) {
+    console.error("Error during face re-encryption:", err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+reencryptFaces();
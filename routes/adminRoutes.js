@@ -11,6 +11,8 @@ const Attendance = require("../models/Attendance");
 const Department = require("../models/Department"); // <-- important
 
 const { auth, roleCheck } = require("../middleware/authMiddleware");
+const { getFaceIndex } = require("../utils/faceIndex");
+const { FACE_MATCH_THRESHOLD } = require("../utils/face");
 
 const router = express.Router();
 
@@ -148,6 +150,8 @@ router.delete("/users/:id", auth, roleCheck(["admin"]), async (req, res) => {
     try {
         const user = await User.findByIdAndDelete(req.params.id);
         if (!user) return res.status(404).json({ msg: "User not found" });
+
+        (await getFaceIndex()).remove(user._id);
         res.json({ msg: "User deleted successfully" });
     } catch (err) {
         console.error("Error deleting user:", err);
@@ -155,6 +159,50 @@ router.delete("/users/:id", auth, roleCheck(["admin"]), async (req, res) => {
     }
 });
 
+/**
+ * Student's trusted scan devices
+ * GET /admin/users/:id/devices
+ */
+router.get("/users/:id/devices", auth, roleCheck(["admin"]), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select("name studentId role +trustedDevices");
+        if (!user) return res.status(404).json({ msg: "User not found" });
+
+        res.json({
+            user: { _id: user._id, name: user.name, studentId: user.studentId },
+            devices: (user.trustedDevices || []).map(d => ({
+                id: d.hash.slice(0, 12),
+                userAgent: d.userAgent,
+                firstSeenAt: d.firstSeenAt,
+                lastSeenAt: d.lastSeenAt,
+            })),
+        });
+    } catch (err) {
+        console.error("Error fetching devices:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+/**
+ * Reset trusted devices (lost / replaced phone); the next scan binds a new one
+ * DELETE /admin/users/:id/devices
+ */
+router.delete("/users/:id/devices", auth, roleCheck(["admin"]), async (req, res) => {
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $set: { trustedDevices: [] } },
+            { new: true }
+        ).select("name studentId");
+        if (!user) return res.status(404).json({ msg: "User not found" });
+
+        res.json({ msg: `Trusted devices reset for ${user.name}` });
+    } catch (err) {
+        console.error("Error resetting devices:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
 /**
  * Get all students (populated department)
  * GET /admin/students
@@ -258,6 +306,40 @@ router.get("/dashboard-stats", auth, roleCheck(["admin"]), async (req, res) => {
     }
 });
 
+/**
+ * Suspected duplicate faces across existing accounts
+ * GET /admin/face-duplicates?threshold=0.45
+ */
+router.get("/face-duplicates", auth, roleCheck(["admin"]), async (req, res) => {
+    try {
+        const threshold = Math.min(
+            Math.max(Number(req.query.threshold) || FACE_MATCH_THRESHOLD, 0.1),
+            0.6
+        );
+
+        const faceIndex = await getFaceIndex();
+        const pairs = faceIndex.findDuplicatePairs(threshold);
+
+        const ids = [...new Set(pairs.flatMap(p => [p.a, p.b]))];
+        const users = await User.find({ _id: { $in: ids } })
+            .select("name email studentId role department")
+            .populate("department", "name");
+        const byId = new Map(users.map(u => [u._id.toString(), u]));
+
+        res.json({
+            threshold,
+            indexed: faceIndex.size,
+            duplicates: pairs.map(p => ({
+                distance: Number(p.distance.toFixed(4)),
+                users: [byId.get(p.a) || { _id: p.a }, byId.get(p.b) || { _id: p.b }],
+            })),
+        });
+    } catch (err) {
+        console.error("Face duplicates error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
 // Update teacher's department
 router.put("/teachers/:id/department", auth, roleCheck(["admin"]), async (req, res) => {
     try {
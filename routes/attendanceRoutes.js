@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
+const multer = require("multer");
 
 
 const Attendance = require("../models/Attendance");
@@ -10,7 +11,34 @@ const User = require("../models/User");
 const Session = require("../models/Session");
 
 const { auth, roleCheck, studentOnly } = require("../middleware/authMiddleware");
-const { emitAttendanceUpdate } = require("./sessionRoutes");
+const { emitAttendanceUpdate, markAbsenteesForSession } = require("./sessionRoutes");
+const { getPlannedClasses } = require("../helpers/calendarHelpers");
+const { getLocalDayKey } = require("../utils/dayKey");
+const {
+  getAttendancePolicy,
+  normalizeMarkStatus,
+  statusCountStages,
+  countStatuses,
+  summarizeAttendance,
+} = require("../helpers/attendanceHelpers");
+const { setAttendanceStatus } = require("../helpers/attendanceAudit");
+const AttendanceChange = require("../models/AttendanceChange");
+const { buildRegisterGrid } = require("../helpers/registerHelpers");
+const { registerToCsv, registerToXlsx } = require("../utils/registerExport");
+const { renderCourseRegister } = require("../utils/registerPdf");
+const {
+  readImportRows,
+  resolveImportSession,
+  importAttendanceRows,
+} = require("../helpers/attendanceImport");
+const { buildSessionRoster, syncOperations } = require("../helpers/attendanceSync");
+const { REVIEW_THRESHOLD } = require("../helpers/gpsRisk");
+
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+// Multer errors (e.g. file too large) as JSON
+const csvFile = (req, res, next) =>
+  csvUpload.single("file")(req, res, err => (err ? res.status(400).json({ msg: err.message }) : next()));
 // adjust path if your folders differ
 
 
@@ -39,8 +67,13 @@ async function validateSessionCourse(sessionId, courseId) {
   if (session.course.toString() !== courseId)
     throw { status: 400, msg: "Session does not belong to this course" };
 
+  // Closed registers change only through an approved correction request
   if (session.status === "expired")
-    throw { status: 400, msg: "Session has expired" };
+    throw {
+      status: 409,
+      msg: "Session has expired. Submit a correction request instead.",
+      code: "SESSION_EXPIRED"
+    };
 
   if (session.status === "cancelled")
     throw { status: 400, msg: "Attendance session was cancelled by the lecturer" };
@@ -97,13 +130,14 @@ function buildDateRangeFilter({ date, range, filter }) {
 // Fetch student attendance and summary
 // ======================= STUDENT ATTENDANCE ======================= //
 
+// `course` and its `totalPlanned` are loaded once by the caller
 async function getStudentAttendance(
-  courseId,
+  course,
   studentId,
+  totalPlanned,
   { date, range, filter, sessionId } = {}
 ) {
-  const course = await Course.findById(courseId);
-  if (!course) throw { status: 404, msg: "Course not found" };
+  const courseId = course._id;
 
   /**
    * 1️⃣ STUDENT ATTENDANCE RECORDS
@@ -136,8 +170,7 @@ async function getStudentAttendance(
     .populate("session", "type mode createdAt")
     .sort({ date: -1 });
 
-  const present = records.filter(r => r.status === "Present").length;
-  const absent = records.filter(r => r.status === "Absent").length;
+  const counts = countStatuses(records);
 
   /**
    * 2️⃣ CLASSES HELD (COURSE-WIDE, FILTERED)
@@ -153,32 +186,21 @@ async function getStudentAttendance(
     if (dateRange) classFilter.date = dateRange;
   }
 
-  const classesHeld = present + absent;
-
   /**
-   * 3️⃣ ATTENDANCE %
-   */
-  const attendancePercentage =
-    classesHeld > 0 ? (present / classesHeld) * 100 : 0;
-
-  /**
-   * 4️⃣ XP SCORE (NO ROUNDING UP)
+   * 3️⃣ ATTENDANCE % + XP SCORE (NO ROUNDING UP)
    * Example: 5 / 24 * 10 = 2.08 (NOT 2.10)
+   * Late / Excused are weighted by the course policy;
+   * planned classes leave out holidays / non-teaching days
    */
-  const totalPlanned = course.totalClasses || 0;
-  const rawScore = totalPlanned > 0 ? (present / totalPlanned) * 10 : 0;
-  const score = Math.floor(rawScore * 100) / 100;
+  const policy = getAttendancePolicy(course);
 
   return {
     course,
     records,
     summary: {
-      classesHeld,
       totalPlanned,
-      present,
-      absent,
-      attendancePercentage,
-      score,
+      ...summarizeAttendance(counts, policy, totalPlanned),
+      policy,
     },
   };
 }
@@ -205,9 +227,14 @@ router.get("/my-summary/:courseId", auth, studentOnly(), async (req, res) => {
     }
 
 
-    const { course, records, summary } = await getStudentAttendance(
-      courseId,
+    const course = await Course.findById(courseId);
+    if (!course) return res.status(404).json({ msg: "Course not found" });
+
+    const totalPlanned = await getPlannedClasses(course);
+    const { records, summary } = await getStudentAttendance(
+      course,
       studentId,
+      totalPlanned,
       { date, range, filter, sessionId }
     );
 
@@ -271,18 +298,20 @@ router.get("/", auth, roleCheck(["admin"]), async (req, res) => {
 // Admin: mark single
 router.post("/", auth, roleCheck(["admin"]), async (req, res) => {
   try {
-    const { studentId, courseId, status = "Present", date, sessionId } = req.body;
+    const { studentId, courseId, date, sessionId } = req.body;
 
     if (!sessionId) {
       return res.status(400).json({ msg: "sessionId is required" });
     }
 
+    const status = normalizeMarkStatus(req.body.status);
+
     const session = await validateSessionCourse(sessionId, courseId);
 
     const enrollment = await Enrollment.findOne({ course: courseId, student: studentId });
     if (!enrollment) return res.status(400).json({ msg: "Student not enrolled" });
 
-    const attendance = await Attendance.findOneAndUpdate(
+    const saved = await setAttendanceStatus(
       {
         course: courseId,
         semester: enrollment.semester,
@@ -290,17 +319,14 @@ router.post("/", auth, roleCheck(["admin"]), async (req, res) => {
         session: sessionId,
       },
       {
-        course: courseId,
-        semester: enrollment.semester,
-        student: studentId,
-        session: sessionId,
         sessionType: session.type || "MANUAL",
         status,
         date: session.createdAt,
         markedBy: req.user.id,
       },
-      { new: true, upsert: true }
-    ).populate("student", "name studentId");
+      { actor: req.user.id, reason: req.body.reason, source: "admin-single" }
+    );
+    const attendance = await saved.populate("student", "name studentId");
 
     const io = req.app.get("io");
 
@@ -313,7 +339,7 @@ router.post("/", auth, roleCheck(["admin"]), async (req, res) => {
 
     res.json({ msg: "Attendance saved", attendance });
   } catch (err) {
-    res.status(500).json({ msg: err.message || "Server error" });
+    res.status(err.status || 500).json({ msg: err.msg || err.message || "Server error", code: err.code });
   }
 });
 
@@ -321,29 +347,27 @@ router.post("/", auth, roleCheck(["admin"]), async (req, res) => {
 // Admin: bulk mark
 router.post("/bulk-mark", auth, roleCheck(["admin"]), async (req, res) => {
   try {
-    const { courseId, status = "Present", sessionId } = req.body;
+    const { courseId, sessionId } = req.body;
     if (!courseId || !sessionId) {
       return res.status(400).json({ msg: "courseId and sessionId required" });
     }
 
+    const status = normalizeMarkStatus(req.body.status);
+
     const session = await validateSessionCourse(sessionId, courseId);
     const enrollments = await Enrollment.find({ course: courseId });
 
     const records = [];
     for (const enr of enrollments) {
-      const attendance = await Attendance.findOneAndUpdate(
+      const attendance = await setAttendanceStatus(
         { course: courseId, student: enr.student, session: sessionId, semester: enr.semester },
         {
-          course: courseId,
-          student: enr.student,
-          session: sessionId,
-          semester: enr.semester,
           sessionType: session.type || "MANUAL",
           status,
           date: session.createdAt,
           markedBy: req.user.id,
         },
-        { new: true, upsert: true }
+        { actor: req.user.id, reason: req.body.reason, source: "admin-bulk" }
       );
       records.push(attendance);
     }
@@ -352,7 +376,7 @@ router.post("/bulk-mark", auth, roleCheck(["admin"]), async (req, res) => {
     res.json({ msg: "Bulk attendance saved", records });
 
   } catch (err) {
-    res.status(500).json({ msg: err.message || "Server error" });
+    res.status(err.status || 500).json({ msg: err.msg || err.message || "Server error", code: err.code });
   }
 });
 
@@ -377,8 +401,7 @@ router.get("/admin/summary/:courseId", auth, roleCheck(["admin"]), async (req, r
       {
         $group: {
           _id: "$student",
-          totalPresent: { $sum: { $cond: [{ $eq: ["$status", "Present"] }, 1, 0] } },
-          totalAbsent: { $sum: { $cond: [{ $eq: ["$status", "Absent"] }, 1, 0] } }
+          ...statusCountStages()
         }
       }
     ]);
@@ -386,10 +409,13 @@ router.get("/admin/summary/:courseId", auth, roleCheck(["admin"]), async (req, r
     const classesHeld = await Attendance.distinct("session", match)
       .then(s => s.length);
 
+    const totalPlanned = await getPlannedClasses(course);
+    const policy = getAttendancePolicy(course);
 
     const populatedSummary = await Promise.all(
       summary.map(async s => {
         const student = await User.findById(s._id).select("name email studentId profileImage department");
+        const stats = summarizeAttendance(s, policy, totalPlanned);
         return {
           student: {
             _id: student._id,
@@ -399,16 +425,23 @@ router.get("/admin/summary/:courseId", auth, roleCheck(["admin"]), async (req, r
             profileImage: student.profileImage || "",
             department: student.department
           },
-          totalPresent: s.totalPresent,
-          totalAbsent: s.totalAbsent,
+          totalPresent: stats.present,
+          totalLate: stats.late,
+          totalPartial: stats.partial,
+          totalExcused: stats.excused,
+          totalAbsent: stats.absent,
+          attended: stats.attended,
+          attendancePct: Number(stats.attendancePercentage.toFixed(1)),
+          score: Number(stats.score.toFixed(2)),
           classesHeld,
-          totalPlanned: course.totalClasses || 0
+          totalPlanned
         };
       })
     );
 
     res.json({
       course: { id: course._id, name: course.name, code: course.code },
+      policy,
       summary: populatedSummary
     });
   } catch (err) {
@@ -422,12 +455,14 @@ router.get("/admin/summary/:courseId", auth, roleCheck(["admin"]), async (req, r
 router.post("/:courseId/mark/:studentId", auth, roleCheck(["teacher"]), async (req, res) => {
   try {
     const { courseId, studentId } = req.params;
-    const { status = "Present", sessionId } = req.body;
+    const { sessionId } = req.body;
 
     if (!sessionId) {
       return res.status(400).json({ msg: "sessionId is required" });
     }
 
+    const status = normalizeMarkStatus(req.body.status);
+
     await verifyTeacherCourse(courseId, req.user.id);
     const session = await validateSessionCourse(sessionId, courseId);
 
@@ -436,26 +471,22 @@ router.post("/:courseId/mark/:studentId", auth, roleCheck(["teacher"]), async (r
       return res.status(400).json({ msg: "Student not enrolled" });
     }
 
-    const attendance = await Attendance.findOneAndUpdate(
+    const attendance = await setAttendanceStatus(
       { course: courseId, student: studentId, session: sessionId, semester: enrollment.semester },
       {
-        course: courseId,
-        student: studentId,
-        session: sessionId,
-        semester: enrollment.semester,
         sessionType: session.type || "MANUAL",
         status,
         date: session.createdAt,
         markedBy: req.user.id,
       },
-      { new: true, upsert: true }
+      { actor: req.user.id, reason: req.body.reason, source: "teacher-single" }
     );
 
     emitAttendanceUpdate(req.app.get("io"), { courseId, sessionId, source: "teacher-single" });
     res.json({ msg: "Attendance saved", attendance });
 
   } catch (err) {
-    res.status(500).json({ msg: err.message || "Server error" });
+    res.status(err.status || 500).json({ msg: err.msg || err.message || "Server error", code: err.code });
   }
 });
 
@@ -473,27 +504,26 @@ router.post("/:courseId/mark", auth, roleCheck(["teacher"]), async (req, res) =>
       return res.status(400).json({ msg: "Valid records array and sessionId required" });
     }
 
+    // Reject the whole batch on a bad status rather than saving half of it
+    const statuses = records.map(r => normalizeMarkStatus(r.status));
+
     await verifyTeacherCourse(courseId, req.user.id);
     const session = await validateSessionCourse(sessionId, courseId);
 
     const saved = [];
-    for (const r of records) {
+    for (const [i, r] of records.entries()) {
       const enrollment = await Enrollment.findOne({ course: courseId, student: r.studentId });
       if (!enrollment) continue;
 
-      const attendance = await Attendance.findOneAndUpdate(
+      const attendance = await setAttendanceStatus(
         { course: courseId, student: r.studentId, session: sessionId, semester: enrollment.semester },
         {
-          course: courseId,
-          student: r.studentId,
-          session: sessionId,
-          semester: enrollment.semester,
           sessionType: session.type || "MANUAL",
-          status: r.status || "Present",
+          status: statuses[i],
           date: session.createdAt,
           markedBy: req.user.id,
         },
-        { new: true, upsert: true }
+        { actor: req.user.id, reason: r.reason || req.body.reason, source: "teacher-bulk" }
       );
       saved.push(attendance);
     }
@@ -502,13 +532,154 @@ router.post("/:courseId/mark", auth, roleCheck(["teacher"]), async (req, res) =>
     res.json({ msg: "Bulk attendance saved", records: saved });
 
   } catch (err) {
-    res.status(500).json({ msg: err.message || "Server error" });
+    res.status(err.status || 500).json({ msg: err.msg || err.message || "Server error", code: err.code });
+  }
+});
+
+
+
+
+
+// Bulk import of paper / offline attendance (lecturer of the course or admin)
+// multipart/form-data: file (CSV: matric/studentId, status[, reason])
+// fields: sessionId | date (YYYY-MM-DD) [+ time HH:mm], dryRun, markAbsent
+router.post("/:courseId/import", auth, roleCheck(["teacher", "admin"]), csvFile, async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { sessionId, date, time } = req.body;
+    const dryRun = ["true", "1", true].includes(req.body.dryRun ?? req.query.dryRun);
+    const markAbsent = !["false", "0", false].includes(req.body.markAbsent);
+
+    const text = req.file ? req.file.buffer.toString("utf8") : req.body.csv;
+    if (!text) return res.status(400).json({ msg: "Upload a CSV file" });
+
+    const course = req.user.role === "admin"
+      ? await Course.findById(courseId)
+      : await verifyTeacherCourse(courseId, req.user.id);
+    if (!course) return res.status(404).json({ msg: "Course not found" });
+
+    const rows = readImportRows(text);
+
+    const { session, created } = await resolveImportSession(
+      course,
+      { sessionId, date, time },
+      { actor: req.user.id, dryRun }
+    );
+
+    const { totals, report } = await importAttendanceRows({
+      course,
+      session,
+      rows,
+      actor: req.user.id,
+      dryRun
+    });
+
+    // A closed register needs everyone else recorded as Absent
+    if (!dryRun && markAbsent && session.status === "expired") {
+      await markAbsenteesForSession(session);
+    }
+
+    if (!dryRun && (totals.accepted || created)) {
+      emitAttendanceUpdate(req.app.get("io"), {
+        courseId,
+        sessionId: session._id.toString(),
+        source: "csv-import"
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      msg: dryRun ? "Dry run complete. Nothing was saved." : "Attendance imported",
+      dryRun,
+      session: {
+        _id: session._id || null,
+        type: session.type,
+        status: session.status,
+        createdAt: session.createdAt,
+        created
+      },
+      totals,
+      report
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      msg: err.msg || "Failed to import attendance",
+      sessions: err.sessions,
+      error: err.message
+    });
   }
 });
 
+async function loadSyncSession(req) {
+  const { courseId } = req.params;
+  const sessionId = req.body?.sessionId || req.query.sessionId;
+  if (!sessionId) throw { status: 400, msg: "sessionId is required" };
 
+  const course = req.user.role === "admin"
+    ? await Course.findById(courseId)
+    : await verifyTeacherCourse(courseId, req.user.id);
+  if (!course) throw { status: 404, msg: "Course not found" };
 
+  const session = await Session.findOne({ _id: sessionId, course: course._id });
+  if (!session) throw { status: 404, msg: "Session not found for this course" };
+  if (session.status === "cancelled") throw { status: 400, msg: "Session was cancelled" };
 
+  return { course, session };
+}
+
+// Roster snapshot for offline marking (download before class, refresh after sync)
+router.get("/:courseId/roster", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { session } = await loadSyncSession(req);
+    res.json({
+      session: { _id: session._id, type: session.type, status: session.status, createdAt: session.createdAt, expiresAt: session.expiresAt },
+      serverTime: new Date(),
+      roster: await buildSessionRoster(session)
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: err.msg || "Failed to load roster", error: err.message });
+  }
+});
+
+// Replay marks queued on the lecturer's device while offline
+// body: { sessionId, operations: [{ opId, student, status, clientTimestamp }], reason? }
+router.post("/:courseId/sync", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { session } = await loadSyncSession(req);
+
+    const { applied, results } = await syncOperations({
+      session,
+      operations: req.body.operations,
+      actor: req.user.id,
+      reason: req.body.reason
+    });
+
+    if (applied) {
+      emitAttendanceUpdate(req.app.get("io"), {
+        courseId: req.params.courseId,
+        sessionId: session._id.toString(),
+        source: "offline-sync"
+      });
+    }
+
+    const count = (result) => results.filter(r => r.result === result).length;
+
+    res.json({
+      msg: "Sync complete",
+      totals: {
+        operations: results.length,
+        applied: count("applied"),
+        unchanged: count("unchanged"),
+        conflict: count("conflict"),
+        rejected: count("rejected"),
+        failed: count("failed")
+      },
+      results,
+      roster: await buildSessionRoster(session)
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: err.msg || "Failed to sync attendance", error: err.message });
+  }
+});
 
 // Teacher summary (with attendancePct and score)
 router.get("/:courseId/summary", auth, roleCheck(["teacher"]), async (req, res) => {
@@ -519,10 +690,9 @@ router.get("/:courseId/summary", auth, roleCheck(["teacher"]), async (req, res)
     const course = await Course.findById(courseId);
     if (!course) return res.status(404).json({ msg: "Course not found" });
 
-    const totalPlanned =
-      typeof course.totalClasses === "number"
-        ? course.totalClasses
-        : 0;
+    // Timetable occurrences minus non-teaching days (falls back to totalClasses)
+    const totalPlanned = await getPlannedClasses(course);
+    const policy = getAttendancePolicy(course);
 
 
     const match = { course: new mongoose.Types.ObjectId(courseId) };
@@ -537,8 +707,7 @@ router.get("/:courseId/summary", auth, roleCheck(["teacher"]), async (req, res)
       {
         $group: {
           _id: "$student",
-          present: { $sum: { $cond: [{ $eq: ["$status", "Present"] }, 1, 0] } },
-          absent: { $sum: { $cond: [{ $eq: ["$status", "Absent"] }, 1, 0] } },
+          ...statusCountStages(),
         }
       }
     ]);
@@ -552,17 +721,8 @@ router.get("/:courseId/summary", auth, roleCheck(["teacher"]), async (req, res)
         const student = await User.findById(s._id)
           .select("name email studentId profileImage department");
 
-        const totalPresent = s.present;
-        const totalAbsent = s.absent;
-        const totalSessions = totalPresent + totalAbsent;
-
-        const attendancePct =
-          totalSessions > 0 ? (totalPresent / totalSessions) * 100 : 0;
-
-        // ✅ FIXED HERE
-        const totalPlanned = course.totalClasses || 0;
-        const rawScore = totalPlanned > 0 ? (totalPresent / totalPlanned) * 10 : 0;
-        const score = Math.floor(rawScore * 100) / 100;
+        // Late / Partial / Excused weighted by the course policy
+        const stats = summarizeAttendance(s, policy, totalPlanned);
 
         return {
           student: {
@@ -573,12 +733,16 @@ router.get("/:courseId/summary", auth, roleCheck(["teacher"]), async (req, res)
             profileImage: student.profileImage || "",
             department: student.department,
           },
-          present: totalPresent,
-          absent: totalAbsent,
+          present: stats.present,
+          late: stats.late,
+          partial: stats.partial,
+          excused: stats.excused,
+          absent: stats.absent,
+          attended: stats.attended,
           classesHeld,
           totalPlanned,
-          attendancePct: Number(attendancePct.toFixed(1)),
-          score: Number(score.toFixed(2)),
+          attendancePct: Number(stats.attendancePercentage.toFixed(1)),
+          score: Number(stats.score.toFixed(2)),
         };
       })
     );
@@ -589,6 +753,7 @@ router.get("/:courseId/summary", auth, roleCheck(["teacher"]), async (req, res)
         name: course.name,
         code: course.code
       },
+      policy,
       summary: populatedSummary
     });
 
@@ -604,6 +769,159 @@ router.get("/:courseId/summary", auth, roleCheck(["teacher"]), async (req, res)
 
 
 
+// Register export: students × sessions grid (lecturer of the course or admin)
+// GET /:courseId/export?format=csv|xlsx|pdf&filter&date&range
+// No filter = the whole semester (printable register with format=pdf)
+router.get("/:courseId/export", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { format = "csv", date, range, filter } = req.query;
+
+    if (!["csv", "xlsx", "pdf"].includes(format)) {
+      return res.status(400).json({ msg: "format must be csv, xlsx or pdf" });
+    }
+
+    const course = req.user.role === "admin"
+      ? await Course.findById(courseId)
+      : await verifyTeacherCourse(courseId, req.user.id);
+    if (!course) return res.status(404).json({ msg: "Course not found" });
+
+    const grid = await buildRegisterGrid(course, buildDateRangeFilter({ date, range, filter }));
+
+    if (format === "pdf") {
+      await course.populate("teacher", "name");
+      return renderCourseRegister(res, grid);
+    }
+
+    const fileName = `${course.code}-register-${getLocalDayKey()}.${format}`.replace(/\s+/g, "_");
+
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    if (format === "xlsx") {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      return res.send(Buffer.from(await registerToXlsx(grid)));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.send(registerToCsv(grid));
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: err.msg || "Failed to export register", error: err.message });
+  }
+});
+
+// Full status history of one record (course lecturer, admin or the student)
+router.get("/record/:attendanceId/history", auth, async (req, res) => {
+  try {
+    const attendance = await Attendance.findById(req.params.attendanceId)
+      .populate("course", "name code teacher")
+      .populate("student", "name studentId")
+      .populate("session", "type createdAt status");
+    if (!attendance) return res.status(404).json({ msg: "Attendance record not found" });
+
+    const isOwner = attendance.student?._id.toString() === req.user.id;
+    const isTeacher = attendance.course?.teacher?.toString() === req.user.id;
+    if (req.user.role !== "admin" && !isOwner && !isTeacher) {
+      return res.status(403).json({ msg: "Not authorized" });
+    }
+
+    const history = await AttendanceChange.find({ attendance: attendance._id })
+      .populate("actor", "name role")
+      .sort({ createdAt: 1, _id: 1 });
+
+    res.json({ attendance, history });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch attendance history", error: err.message });
+  }
+});
+
+// GPS risk review queue: records at or above the review threshold
+// GET /:courseId/review-queue?status=pending|cleared|confirmed
+router.get("/:courseId/review-queue", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const status = ["pending", "cleared", "confirmed"].includes(req.query.status) ? req.query.status : "pending";
+
+    const course = req.user.role === "admin"
+      ? await Course.findById(courseId)
+      : await verifyTeacherCourse(courseId, req.user.id);
+    if (!course) return res.status(404).json({ msg: "Course not found" });
+
+    const records = await Attendance.find({ course: course._id, "riskReview.status": status })
+      .select("student session status riskScore riskSignals riskReview scanDevice.at createdAt")
+      .populate("student", "name studentId profileImage")
+      .populate("session", "type createdAt status")
+      .populate("riskReview.reviewedBy", "name role")
+      .sort({ riskScore: -1, createdAt: -1 })
+      .limit(500);
+
+    res.json({ status, threshold: REVIEW_THRESHOLD, records });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to fetch review queue", error: err.message });
+  }
+});
+
+// Decide a flagged record: cleared (genuine) or confirmed (spoofed → Absent unless markAbsent is false)
+// body: { decision, note, markAbsent }
+router.post("/record/:attendanceId/review", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { decision, markAbsent } = req.body;
+    const note = String(req.body.note || "").trim();
+
+    if (!["cleared", "confirmed"].includes(decision)) {
+      return res.status(400).json({ msg: "decision must be cleared or confirmed" });
+    }
+
+    const attendance = await Attendance.findById(req.params.attendanceId).populate("course", "teacher");
+    if (!attendance) return res.status(404).json({ msg: "Attendance record not found" });
+
+    if (req.user.role !== "admin" && attendance.course?.teacher?.toString() !== req.user.id) {
+      return res.status(403).json({ msg: "Not authorized" });
+    }
+
+    if (attendance.riskReview?.status !== "pending") {
+      return res.status(409).json({ msg: "This record is not awaiting review" });
+    }
+
+    const reviewed = await Attendance.findOneAndUpdate(
+      { _id: attendance._id, "riskReview.status": "pending" },
+      {
+        $set: {
+          "riskReview.status": decision,
+          "riskReview.reviewedBy": req.user.id,
+          "riskReview.reviewedAt": new Date(),
+          ...(note && { "riskReview.note": note })
+        }
+      },
+      { new: true }
+    );
+    if (!reviewed) return res.status(409).json({ msg: "This record was reviewed already" });
+
+    let updated = reviewed;
+    if (decision === "confirmed" && markAbsent !== false && reviewed.status !== "Absent") {
+      updated = await setAttendanceStatus(
+        {
+          course: reviewed.course,
+          semester: reviewed.semester,
+          student: reviewed.student,
+          session: reviewed.session
+        },
+        { status: "Absent", markedBy: req.user.id },
+        { actor: req.user.id, reason: note || "Confirmed GPS spoofing", source: "risk-review" }
+      );
+
+      emitAttendanceUpdate(req.app.get("io"), {
+        courseId: reviewed.course.toString(),
+        sessionId: reviewed.session.toString(),
+        source: "risk-review"
+      });
+    }
+
+    res.json({ msg: `Record ${decision}`, attendance: updated });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to review record", error: err.message });
+  }
+});
+
 // View single student attendance
 router.get("/:courseId/student/:studentId", auth, roleCheck(["teacher"]), async (req, res) => {
   try {
@@ -4,7 +4,16 @@ const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const User = require("../models/User");
 const Department = require("../models/Department");
+const FaceChallenge = require("../models/FaceChallenge");
 const { auth, roleCheck } = require("../middleware/authMiddleware");
+const {
+    FACE_MATCH_THRESHOLD,
+    isValidDescriptor,
+    faceDistance,
+    pickLivenessActions,
+} = require("../utils/face");
+const { consumeFaceChallenge } = require("../helpers/faceHelpers");
+const { getFaceIndex } = require("../utils/faceIndex");
 const { Resend } = require("resend"); // ✅ Using Resend globally
 
 const { generateRegistrationOptions, verifyRegistrationResponse } = require("@simplewebauthn/server");
@@ -131,7 +140,7 @@ router.post("/login", async (req, res) => {
         // 2️⃣ Find user (include isVerified explicitly)
         const user = await User.findOne({ email })
             .populate("department", "name levels")
-            .select("+isVerified"); // ✅ ensure isVerified is fetched
+            .select("+isVerified +faceDescriptor"); // ✅ ensure isVerified is fetched
 
         if (!user) {
             return res.status(400).json({
@@ -171,7 +180,7 @@ router.post("/login", async (req, res) => {
             { expiresIn: "1d" }
         );
 
-        // 7️⃣ Send user data including face info
+        // 7️⃣ Send user data (biometrics stay server-side)
         return res.json({
             token,
             user: {
@@ -189,10 +198,7 @@ router.post("/login", async (req, res) => {
                     }
                     : null,
                 profileImage: user.profileImage || null,
-                faceImage: user.faceImage || null,
-                faceDescriptor: Array.isArray(user.faceDescriptor)
-                    ? user.faceDescriptor
-                    : [],
+                faceEnrolled: user.hasFace(),
             },
         });
     } catch (err) {
@@ -205,19 +211,48 @@ router.post("/login", async (req, res) => {
 
 
 
+// ======================
+// 🎲 Face Liveness Challenge
+// ======================
+router.post("/face-challenge", auth, async (req, res) => {
+    try {
+        const { purpose = "verify" } = req.body;
+        if (!["enroll", "reenroll", "verify"].includes(purpose)) {
+            return res.status(400).json({ msg: "Invalid challenge purpose" });
+        }
+
+        const challenge = await FaceChallenge.create({
+            user: req.user.id,
+            purpose,
+            nonce: crypto.randomBytes(16).toString("hex"),
+            actions: pickLivenessActions(2),
+            expiresAt: new Date(Date.now() + 60 * 1000),
+        });
+
+        // Client captures a neutral frame, then one frame per action, in order
+        res.json({
+            nonce: challenge.nonce,
+            purpose: challenge.purpose,
+            actions: challenge.actions,
+            frames: ["neutral", ...challenge.actions],
+            expiresAt: challenge.expiresAt,
+        });
+    } catch (err) {
+        console.error("Face challenge error:", err);
+        res.status(500).json({ msg: "Could not start face check" });
+    }
+});
+
 // ======================
 // 🧠 Enroll Face (Students Only) — FIXED
 // ======================
 router.post("/enroll-face", auth, async (req, res) => {
     try {
-        const { faceImage, faceDescriptor } = req.body;
+        const { faceImage, challenge } = req.body;
 
         // 1️⃣ Validate input
-        if (!faceImage || !Array.isArray(faceDescriptor)) {
-            return res.status(400).json({ msg: "Face image and descriptor are required" });
-        }
-        if (faceDescriptor.length !== 128) {
-            return res.status(400).json({ msg: "Face descriptor must contain 128 values" });
+        if (!faceImage) {
+            return res.status(400).json({ msg: "Face image is required" });
         }
 
         // 2️⃣ Fetch current user
@@ -225,43 +260,31 @@ router.post("/enroll-face", auth, async (req, res) => {
         if (!user) return res.status(404).json({ msg: "User not found" });
         if (user.role !== "student") return res.status(403).json({ msg: "Face enrollment is only allowed for students" });
 
-        // 3️⃣ Fetch other enrolled users
-        const otherUsers = await User.find({
-            _id: { $ne: user._id },
-            faceDescriptor: { $type: "array" },
-        }).select("faceDescriptor");
-
-        // 4️⃣ Distance function (Euclidean)
-        const faceDistance = (a, b) =>
-            Math.sqrt(a.reduce((sum, v, i) => sum + (v - b[i]) ** 2, 0));
-
-        // 5️⃣ Thresholds
-        const DUPLICATE_THRESHOLD = 0.45; // Block if face is already used
-        const UNCLEAR_THRESHOLD = 0.2;    // Optional: for re-enroll only
-
-        // 6️⃣ Check duplicates only (422 only for same user if needed)
-        for (const u of otherUsers) {
-            if (!Array.isArray(u.faceDescriptor)) continue;
-            if (u.faceDescriptor.length !== 128) continue;
-
-            const distance = faceDistance(u.faceDescriptor, faceDescriptor.map(Number));
-
-            if (distance < DUPLICATE_THRESHOLD) {
-                return res.status(409).json({
-                    msg: "This face is already enrolled by another user.",
-                    distance,
-                });
-            }
+        // 3️⃣ Live capture bound to a server challenge
+        const faceDescriptor = await consumeFaceChallenge(user._id, challenge, "enroll");
+
+        // 4️⃣ Duplicate check against every other enrolled face (indexed)
+        const faceIndex = await getFaceIndex();
+        const [duplicate] = faceIndex.findWithin(faceDescriptor, FACE_MATCH_THRESHOLD, {
+            excludeId: user._id,
+        });
+
+        if (duplicate) {
+            return res.status(409).json({
+                msg: "This face is already enrolled by another user.",
+                distance: duplicate.distance,
+            });
         }
 
-        // 7️⃣ Save face for current user
-        user.faceDescriptor = faceDescriptor.map(Number);
-        user.faceImage = faceImage;
+        // 5️⃣ Save face for current user (encrypted at rest)
+        user.setFace(faceDescriptor, faceImage);
         await user.save();
+        faceIndex.upsert(user._id, faceDescriptor);
 
         return res.status(200).json({ msg: "Face enrolled successfully" });
 
     } catch (err) {
+        if (err.status) return res.status(err.status).json({ msg: err.msg, code: err.code });
         console.error("Enroll face error:", err);
         return res.status(500).json({ msg: "Face enrollment failed. Try again." });
     }
@@ -402,74 +425,60 @@ router.post("/webauthn/auth-response", async (req, res) => {
 
 router.post("/reenroll-face", auth, async (req, res) => {
     try {
-        const { faceDescriptor, faceImage, oldFaceDescriptor } = req.body;
-
-        if (
-            !Array.isArray(faceDescriptor) ||
-            faceDescriptor.length !== 128 ||
-            !Array.isArray(oldFaceDescriptor) ||
-            oldFaceDescriptor.length !== 128
-        ) {
-            return res.status(400).json({ msg: "Invalid face data" });
-        }
+        const { faceImage, challenge, oldChallenge } = req.body;
 
-        const user = await User.findById(req.user.id);
-        if (!user || !Array.isArray(user.faceDescriptor)) {
+        const user = await User.findById(req.user.id).select("+faceDescriptor");
+        const storedDescriptor = user?.getFaceDescriptor();
+        if (!isValidDescriptor(storedDescriptor)) {
             return res.status(400).json({ msg: "No existing face to re-enroll" });
         }
 
-        // Step 1: Verify old face first
-        const verifyDistance = Math.sqrt(
-            user.faceDescriptor.reduce((sum, v, i) => sum + (v - oldFaceDescriptor[i]) ** 2, 0)
-        );
+        // Step 1: Verify old face first (live "verify" challenge)
+        const oldFaceDescriptor = await consumeFaceChallenge(user._id, oldChallenge, "verify");
+        const verifyDistance = faceDistance(storedDescriptor, oldFaceDescriptor);
 
-        if (verifyDistance > 0.45) {
+        if (verifyDistance > FACE_MATCH_THRESHOLD) {
             return res.status(401).json({
                 msg: "Old face verification failed",
                 distance: verifyDistance,
             });
         }
 
-        // Step 2: Distance function
-        const distance = (a, b) =>
-            Math.sqrt(a.reduce((sum, v, i) => sum + (v - b[i]) ** 2, 0));
+        // Step 2: Live capture of the new face
+        const faceDescriptor = await consumeFaceChallenge(user._id, challenge, "reenroll");
+
+        const faceIndex = await getFaceIndex();
 
         // Step 3: Check if new face is same as old face
-        const distanceToOld = distance(user.faceDescriptor, faceDescriptor);
+        const distanceToOld = faceDistance(storedDescriptor, faceDescriptor);
         if (distanceToOld < 0.01) {
-            user.faceDescriptor = faceDescriptor.map(Number);
-            user.faceImage = faceImage;
+            user.setFace(faceDescriptor, faceImage);
             await user.save();
+            faceIndex.upsert(user._id, faceDescriptor);
             return res.json({ msg: "Face re-enrolled successfully (same as old)" });
         }
 
         // Step 4: Check other users for duplicates, ignoring own old face
-        const otherUsers = await User.find({
-            _id: { $ne: user._id },
-            faceDescriptor: { $type: "array" },
+        const [duplicate] = faceIndex.findWithin(faceDescriptor, FACE_MATCH_THRESHOLD, {
+            excludeId: user._id,
         });
 
-        for (const u of otherUsers) {
-            if (!Array.isArray(u.faceDescriptor) || u.faceDescriptor.length !== 128) continue;
-
-            const dist = distance(u.faceDescriptor, faceDescriptor.map(Number));
-
-            if (dist < 0.45) {
-                return res.status(409).json({
-                    msg: "This face is already used by another user",
-                    distance: dist,
-                });
-            }
+        if (duplicate) {
+            return res.status(409).json({
+                msg: "This face is already used by another user",
+                distance: duplicate.distance,
+            });
         }
 
         // Step 5: Update face
-        user.faceDescriptor = faceDescriptor.map(Number);
-        user.faceImage = faceImage;
+        user.setFace(faceDescriptor, faceImage);
         await user.save();
+        faceIndex.upsert(user._id, faceDescriptor);
 
         return res.json({ msg: "Face re-enrolled successfully" });
 
     } catch (err) {
+        if (err.status) return res.status(err.status).json({ msg: err.msg, code: err.code });
         console.error("Re-enroll face error:", err);
         res.status(500).json({ msg: "Face re-enrollment failed" });
     }
@@ -480,25 +489,17 @@ router.post("/reenroll-face", auth, async (req, res) => {
 
 router.post("/verify-face", auth, async (req, res) => {
     try {
-        const { faceDescriptor } = req.body;
-        if (!Array.isArray(faceDescriptor) || faceDescriptor.length !== 128) {
-            return res.status(400).json({ msg: "Invalid face data" });
-        }
-
-        const user = await User.findById(req.user.id);
-        if (!user || !Array.isArray(user.faceDescriptor)) {
+        const user = await User.findById(req.user.id).select("+faceDescriptor");
+        const storedDescriptor = user?.getFaceDescriptor();
+        if (!isValidDescriptor(storedDescriptor)) {
             return res.status(400).json({ msg: "Face not enrolled" });
         }
 
-        const distance = Math.sqrt(
-            user.faceDescriptor.reduce(
-                (sum, v, i) => sum + (v - faceDescriptor[i]) ** 2,
-                0
-            )
-        );
+        const faceDescriptor = await consumeFaceChallenge(user._id, req.body.challenge, "verify");
+        const distance = faceDistance(storedDescriptor, faceDescriptor);
 
         // STRICT login threshold
-        if (distance > 0.45) {
+        if (distance > FACE_MATCH_THRESHOLD) {
             return res.status(401).json({
                 msg: "Face verification failed",
                 distance,
@@ -507,6 +508,7 @@ router.post("/verify-face", auth, async (req, res) => {
 
         return res.json({ msg: "Face verified successfully" });
     } catch (err) {
+        if (err.status) return res.status(err.status).json({ msg: err.msg, code: err.code });
         console.error("Verify face error:", err);
         res.status(500).json({ msg: "Face verification error" });
     }
@@ -585,7 +587,7 @@ router.get("/me", auth, async (req, res) => {
     try {
         const user = await User.findById(req.user.id)
             .populate("department", "name levels")
-            .select("-password -__v");
+            .select("-password -__v +faceDescriptor");
         if (!user) return res.status(404).json({ msg: "User not found" });
 
         res.json({
@@ -606,12 +608,9 @@ router.get("/me", auth, async (req, res) => {
                     : null,
 
                 profileImage: user.profileImage || null,
-                faceImage: user.faceImage || null,
 
-                // 🔥 THIS IS WHAT YOU WERE MISSING
-                faceDescriptor: Array.isArray(user.faceDescriptor)
-                    ? user.faceDescriptor
-                    : [],
+                // Biometrics never leave the server; the client only needs to know
+                faceEnrolled: user.hasFace(),
 
                 graduated: user.graduated || false,
                 graduationDate: user.graduationDate || null,
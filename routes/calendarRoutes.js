@@ -0,0 +1,152 @@
+// routes/calendarRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const CalendarEvent = require("../models/CalendarEvent");
+const Course = require("../models/Course");
+const TimetableSlot = require("../models/TimetableSlot");
+const { auth, roleCheck } = require("../middleware/authMiddleware");
+const { getLocalDayKey } = require("../utils/dayKey");
+const { findNonTeachingEvent } = require("../helpers/calendarHelpers");
+const { syncPlannedClasses } = require("./timetableRoutes");
+
+// ======================= HELPERS ======================= //
+
+function toDayKey(value) {
+    if (!value) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = new Date(value);
+    return isNaN(date) ? null : getLocalDayKey(date);
+}
+
+function buildEventData(body = {}) {
+    const data = {};
+
+    if (body.title !== undefined) data.title = body.title;
+    if (body.type !== undefined) data.type = body.type;
+    if (body.notes !== undefined) data.notes = body.notes;
+    if (body.semester !== undefined) data.semester = body.semester || null;
+    if (body.academicSession !== undefined) data.academicSession = body.academicSession || null;
+
+    if (body.startDate !== undefined) {
+        data.startKey = toDayKey(body.startDate);
+        if (!data.startKey) throw { status: 400, msg: "Invalid startDate" };
+    }
+
+    if (body.endDate !== undefined) {
+        data.endKey = toDayKey(body.endDate);
+        if (!data.endKey) throw { status: 400, msg: "Invalid endDate" };
+    }
+
+    if (body.nonTeaching !== undefined) {
+        data.nonTeaching = !!body.nonTeaching;
+    } else if (data.type) {
+        // Plain "event" entries are informational; everything else closes teaching
+        data.nonTeaching = data.type !== "event";
+    }
+
+    return data;
+}
+
+// Recount planned classes for timetabled courses touched by an event
+async function resyncPlannedClasses(event) {
+    const courseIds = await TimetableSlot.distinct("course");
+    const filter = { _id: { $in: courseIds } };
+    if (event.semester) filter.semester = event.semester;
+
+    const courses = await Course.find(filter).populate("semester");
+    for (const course of courses) {
+        await syncPlannedClasses(course);
+    }
+}
+
+// ======================= ROUTES ======================= //
+
+// List events (filter by semester / academic session / date range)
+router.get("/", auth, async (req, res) => {
+    try {
+        const { semester, academicSession, from, to } = req.query;
+        const query = {};
+
+        if (semester) query.semester = semester;
+        if (academicSession) query.academicSession = academicSession;
+        if (from) query.endKey = { $gte: toDayKey(from) };
+        if (to) query.startKey = { $lte: toDayKey(to) };
+
+        const events = await CalendarEvent.find(query)
+            .populate("semester", "name season")
+            .populate("academicSession", "name")
+            .sort({ startKey: 1 });
+
+        res.json(events);
+    } catch (err) {
+        res.status(500).json({ msg: "Failed to fetch calendar" });
+    }
+});
+
+// Is a given day a teaching day?
+router.get("/check", auth, async (req, res) => {
+    try {
+        const { date, semester } = req.query;
+        const dayKey = toDayKey(date || new Date());
+        if (!dayKey) return res.status(400).json({ msg: "Invalid date" });
+
+        const event = await findNonTeachingEvent(semester, dayKey);
+
+        res.json({ dayKey, teachingDay: !event, event });
+    } catch (err) {
+        res.status(500).json({ msg: "Failed to check calendar" });
+    }
+});
+
+// CREATE an event
+router.post("/", auth, roleCheck(["admin"]), async (req, res) => {
+    try {
+        const data = buildEventData(req.body);
+        if (!data.endKey) data.endKey = data.startKey;
+
+        const event = await CalendarEvent.create({ ...data, createdBy: req.user.id });
+        await resyncPlannedClasses(event);
+
+        res.status(201).json({ msg: "Calendar event created", event });
+    } catch (err) {
+        res.status(err.status || 400).json({ msg: err.msg || err.message });
+    }
+});
+
+// UPDATE an event
+router.put("/:id", auth, roleCheck(["admin"]), async (req, res) => {
+    try {
+        const event = await CalendarEvent.findById(req.params.id);
+        if (!event) return res.status(404).json({ msg: "Calendar event not found" });
+
+        const previousSemester = event.semester;
+        Object.assign(event, buildEventData(req.body));
+        await event.save();
+
+        await resyncPlannedClasses(event);
+        if (previousSemester?.toString() !== event.semester?.toString()) {
+            await resyncPlannedClasses({ semester: previousSemester });
+        }
+
+        res.json({ msg: "Calendar event updated", event });
+    } catch (err) {
+        res.status(err.status || 400).json({ msg: err.msg || err.message });
+    }
+});
+
+// DELETE an event
+router.delete("/:id", auth, roleCheck(["admin"]), async (req, res) => {
+    try {
+        const event = await CalendarEvent.findByIdAndDelete(req.params.id);
+        if (!event) return res.status(404).json({ msg: "Calendar event not found" });
+
+        await resyncPlannedClasses(event);
+
+        res.json({ msg: "Calendar event deleted" });
+    } catch (err) {
+        res.status(400).json({ msg: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require("express");
+const router = express.Router();
+
+const AttendanceCorrection = require("../models/AttendanceCorrection");
+const Attendance = require("../models/Attendance");
+const Course = require("../models/Course");
+
+const { auth, roleCheck } = require("../middleware/authMiddleware");
+const { emitAttendanceUpdate } = require("./sessionRoutes");
+const { normalizeMarkStatus } = require("../helpers/attendanceHelpers");
+const { recordAttendanceChanges, changeFor } = require("../helpers/attendanceAudit");
+
+
+// ======================= HELPERS ======================= //
+
+const isCourseTeacher = (course, user) => course?.teacher?.toString() === user.id;
+
+// Admins decide everything; lecturers decide what their students filed
+function canDecide(correction, course, user) {
+  if (user.role === "admin") return true;
+  return correction.requestedByRole === "student" && isCourseTeacher(course, user);
+}
+
+function sendError(res, err, label) {
+  if (err.status) return res.status(err.status).json({ msg: err.msg, code: err.code });
+  if (err.code === 11000) {
+    return res.status(409).json({ msg: "A correction for this record is already pending" });
+  }
+  if (err.name === "ValidationError") return res.status(400).json({ msg: err.message });
+  console.error(`${label} error:`, err);
+  res.status(500).json({ msg: "Server error", error: err.message });
+}
+
+const populateCorrection = (query) =>
+  query
+    .populate("student", "name studentId")
+    .populate("course", "name code")
+    .populate("session", "type createdAt status")
+    .populate("requestedBy", "name role")
+    .populate("decidedBy", "name role");
+
+
+// ======================= ROUTES ======================= //
+
+// Request a status change on a closed session
+// Body: { attendanceId, toStatus, reason }
+router.post("/", auth, async (req, res) => {
+  try {
+    const { attendanceId } = req.body;
+    const reason = String(req.body.reason || "").trim();
+
+    if (!attendanceId) return res.status(400).json({ msg: "attendanceId is required" });
+    if (!reason) return res.status(400).json({ msg: "A reason is required" });
+
+    const toStatus = normalizeMarkStatus(req.body.toStatus);
+
+    const attendance = await Attendance.findById(attendanceId)
+      .populate("course", "teacher")
+      .populate("session", "status");
+    if (!attendance) return res.status(404).json({ msg: "Attendance record not found" });
+
+    const isOwner = attendance.student.toString() === req.user.id;
+    if (req.user.role !== "admin" && !isOwner && !isCourseTeacher(attendance.course, req.user)) {
+      return res.status(403).json({ msg: "Not authorized" });
+    }
+
+    if (attendance.session?.status === "active") {
+      return res.status(400).json({
+        msg: "Session is still open. Mark attendance directly instead.",
+        code: "SESSION_OPEN"
+      });
+    }
+
+    if (attendance.status === toStatus) {
+      return res.status(400).json({ msg: `Record is already ${toStatus}` });
+    }
+
+    const correction = await AttendanceCorrection.create({
+      attendance: attendance._id,
+      course: attendance.course._id,
+      session: attendance.session?._id || attendance.session,
+      student: attendance.student,
+      fromStatus: attendance.status,
+      toStatus,
+      reason,
+      requestedBy: req.user.id,
+      requestedByRole: req.user.role,
+    });
+
+    res.status(201).json({ msg: "Correction request submitted", correction });
+  } catch (err) {
+    sendError(res, err, "Request correction");
+  }
+});
+
+// List requests: admin sees all, lecturers their courses, students their own
+// Query: status, courseId
+router.get("/", auth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    if (req.user.role === "student") {
+      filter.student = req.user.id;
+      if (req.query.courseId) filter.course = req.query.courseId;
+    } else if (req.user.role === "teacher") {
+      const courses = await Course.find({ teacher: req.user.id }).select("_id");
+      const ids = courses.map(c => c._id.toString());
+      filter.course = req.query.courseId
+        ? (ids.includes(req.query.courseId) ? req.query.courseId : null)
+        : { $in: ids };
+    } else if (req.query.courseId) {
+      filter.course = req.query.courseId;
+    }
+
+    const corrections = await populateCorrection(AttendanceCorrection.find(filter))
+      .sort({ createdAt: -1 });
+
+    res.json({ corrections });
+  } catch (err) {
+    sendError(res, err, "List corrections");
+  }
+});
+
+// Approve / reject — decided exactly once
+async function decide(req, res, status) {
+  try {
+    const pending = await AttendanceCorrection.findById(req.params.id);
+    if (!pending) return res.status(404).json({ msg: "Correction request not found" });
+
+    const course = await Course.findById(pending.course).select("teacher");
+    if (!canDecide(pending, course, req.user)) {
+      return res.status(403).json({ msg: "Not authorized to decide this request" });
+    }
+
+    const attendance = await Attendance.findById(pending.attendance);
+    if (status === "approved" && !attendance) {
+      return res.status(410).json({ msg: "The attendance record no longer exists" });
+    }
+
+    const correction = await AttendanceCorrection.findOneAndUpdate(
+      { _id: pending._id, status: "pending" },
+      {
+        status,
+        decidedBy: req.user.id,
+        decidedAt: new Date(),
+        decisionNote: req.body?.note,
+      },
+      { new: true }
+    );
+    if (!correction) return res.status(409).json({ msg: "This request has already been decided" });
+
+    if (status === "approved") {
+      const fromStatus = attendance.status;
+      attendance.status = correction.toStatus;
+      attendance.markedBy = req.user.id;
+      await attendance.save();
+
+      await recordAttendanceChanges([
+        changeFor(attendance, fromStatus, {
+          actor: req.user.id,
+          reason: correction.reason,
+          source: "correction",
+          correction: correction._id,
+        }),
+      ]);
+
+      emitAttendanceUpdate(req.app.get("io"), {
+        courseId: correction.course.toString(),
+        sessionId: correction.session.toString(),
+        source: "correction",
+      });
+    }
+
+    res.json({
+      msg: `Correction ${status}`,
+      correction: await populateCorrection(AttendanceCorrection.findById(correction._id)),
+    });
+  } catch (err) {
+    sendError(res, err, "Decide correction");
+  }
+}
+
+router.post("/:id/approve", auth, roleCheck(["teacher", "admin"]), (req, res) => decide(req, res, "approved"));
+router.post("/:id/reject", auth, roleCheck(["teacher", "admin"]), (req, res) => decide(req, res, "rejected"));
+
+module.exports = router;
@@ -4,6 +4,7 @@ const Department = require("../models/Department");
 const Semester = require("../models/Semester");
 const Enrollment = require("../models/Enrollment");
 const { auth, roleCheck, studentOnly } = require("../middleware/authMiddleware");
+const { getAttendancePolicy } = require("../helpers/attendanceHelpers");
 
 
 const router = express.Router();
@@ -24,6 +25,7 @@ function formatCourse(course, enrolledCount = 0) {
         level: course.level,
         unit: course.unit,
         totalClasses: course.totalClasses || 0,
+        attendancePolicy: getAttendancePolicy(course),
 
         semesterId: course.semester?._id,
         semester: course.semester?.season,
@@ -303,6 +305,37 @@ router.put("/:id", auth, roleCheck(["admin"]), async (req, res) => {
     }
 });
 
+/// ======================= ATTENDANCE POLICY ======================= ///
+// Lateness cutoff, how Late / Partial / Excused are weighted and what a failed spot-check does (course lecturer or admin)
+router.put("/:id/attendance-policy", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+        if (!course) return res.status(404).json({ msg: "Course not found" });
+
+        if (req.user.role !== "admin" && course.teacher?.toString() !== req.user.id) {
+            return res.status(403).json({ msg: "Not authorized" });
+        }
+
+        const { lateAfterMinutes, lateWeight, partialWeight, excusedWeight, spotCheckAction } = req.body;
+
+        if (lateAfterMinutes !== undefined) {
+            course.set("attendancePolicy.lateAfterMinutes",
+                lateAfterMinutes === null || lateAfterMinutes === "" ? null : Number(lateAfterMinutes));
+        }
+        if (lateWeight !== undefined) course.set("attendancePolicy.lateWeight", Number(lateWeight));
+        if (partialWeight !== undefined) course.set("attendancePolicy.partialWeight", Number(partialWeight));
+        if (excusedWeight !== undefined) course.set("attendancePolicy.excusedWeight", Number(excusedWeight));
+        if (spotCheckAction !== undefined) course.set("attendancePolicy.spotCheckAction", spotCheckAction);
+
+        await course.save();
+
+        res.json({ msg: "Attendance policy updated", attendancePolicy: getAttendancePolicy(course) });
+    } catch (err) {
+        if (err.name === "ValidationError") return res.status(400).json({ msg: err.message });
+        res.status(500).json({ msg: err.message });
+    }
+});
+
 /// ======================= DELETE COURSE ======================= ///
 router.delete("/:id", auth, roleCheck(["admin"]), async (req, res) => {
     try {
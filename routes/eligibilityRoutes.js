@@ -0,0 +1,240 @@
+const express = require("express");
+const router = express.Router();
+
+const Attendance = require("../models/Attendance");
+const Course = require("../models/Course");
+const Department = require("../models/Department");
+const Enrollment = require("../models/Enrollment");
+const EligibilityOverride = require("../models/EligibilityOverride");
+
+const { auth, roleCheck, studentOnly } = require("../middleware/authMiddleware");
+const { countStatuses } = require("../helpers/attendanceHelpers");
+const {
+  resolveEligibilityPolicy,
+  buildPolicyUpdate,
+  evaluateEligibility,
+  getCourseStatusCounts,
+} = require("../helpers/eligibilityHelpers");
+
+
+// ======================= HELPERS ======================= //
+
+// Course lecturer or admin
+async function verifyCourseAccess(courseId, user) {
+  const course = await Course.findById(courseId);
+  if (!course) throw { status: 404, msg: "Course not found" };
+
+  if (user.role !== "admin" && course.teacher?.toString() !== user.id) {
+    throw { status: 403, msg: "Not authorized" };
+  }
+  return course;
+}
+
+async function getCoursePolicy(course) {
+  const department = await Department.findById(course.department).select("eligibilityPolicy");
+  return resolveEligibilityPolicy(course, department);
+}
+
+const formatOverride = (o) =>
+  o
+    ? {
+      eligible: o.eligible,
+      reason: o.reason,
+      setBy: o.setBy,
+      updatedAt: o.updatedAt,
+    }
+    : null;
+
+// Eligible / barred lists for every enrolled student
+async function buildCourseEligibility(course) {
+  const policy = await getCoursePolicy(course);
+
+  const [enrollments, counts, overrides] = await Promise.all([
+    Enrollment.find({ course: course._id })
+      .populate("student", "name email studentId level department"),
+    getCourseStatusCounts(course._id),
+    EligibilityOverride.find({ course: course._id }).populate("setBy", "name role"),
+  ]);
+
+  const overrideByKey = new Map(overrides.map(o => [`${o.student}:${o.semester}`, o]));
+
+  const rows = enrollments
+    .filter(e => e.student)
+    .map(e => {
+      const key = `${e.student._id}:${e.semester}`;
+      const computed = evaluateEligibility(counts.get(key), policy);
+      const override = overrideByKey.get(key);
+
+      return {
+        student: {
+          _id: e.student._id,
+          name: e.student.name,
+          email: e.student.email,
+          studentId: e.student.studentId,
+          level: e.student.level,
+        },
+        ...computed,
+        computedEligible: computed.eligible,
+        eligible: override ? override.eligible : computed.eligible,
+        override: formatOverride(override),
+      };
+    })
+    .sort((a, b) => (a.student.studentId || "").localeCompare(b.student.studentId || ""));
+
+  return {
+    policy,
+    eligible: rows.filter(r => r.eligible),
+    barred: rows.filter(r => !r.eligible),
+  };
+}
+
+function sendError(res, err, label) {
+  if (err.status) return res.status(err.status).json({ msg: err.msg });
+  if (err.name === "ValidationError") return res.status(400).json({ msg: err.message });
+  console.error(`${label} error:`, err);
+  res.status(500).json({ msg: "Server error", error: err.message });
+}
+
+
+// ======================= ROUTES ======================= //
+
+// Lecturer / admin: eligible and barred lists
+router.get("/course/:courseId", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const course = await verifyCourseAccess(req.params.courseId, req.user);
+    const { policy, eligible, barred } = await buildCourseEligibility(course);
+
+    res.json({
+      course: { id: course._id, name: course.name, code: course.code },
+      policy,
+      totals: { eligible: eligible.length, barred: barred.length },
+      eligible,
+      barred,
+    });
+  } catch (err) {
+    sendError(res, err, "Course eligibility");
+  }
+});
+
+// Student: own standing in a course
+router.get("/my/:courseId", auth, studentOnly(), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const enrollment = await Enrollment.findOne({ course: courseId, student: req.user.id });
+    if (!enrollment) return res.status(400).json({ msg: "Not enrolled in this course" });
+
+    const course = await Course.findById(courseId);
+    if (!course) return res.status(404).json({ msg: "Course not found" });
+
+    const [policy, records, override] = await Promise.all([
+      getCoursePolicy(course),
+      Attendance.find({ course: courseId, student: req.user.id, semester: enrollment.semester })
+        .select("status"),
+      EligibilityOverride.findOne({ course: courseId, student: req.user.id, semester: enrollment.semester }),
+    ]);
+
+    const computed = evaluateEligibility(countStatuses(records), policy);
+
+    res.json({
+      course: { id: course._id, name: course.name, code: course.code },
+      policy,
+      ...computed,
+      computedEligible: computed.eligible,
+      eligible: override ? override.eligible : computed.eligible,
+      override: override ? { eligible: override.eligible, reason: override.reason, updatedAt: override.updatedAt } : null,
+    });
+  } catch (err) {
+    sendError(res, err, "My eligibility");
+  }
+});
+
+// Lecturer / admin: course rule (null clears a field back to the department rule)
+router.put("/course/:courseId/policy", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    await verifyCourseAccess(req.params.courseId, req.user);
+
+    const course = await Course.findByIdAndUpdate(
+      req.params.courseId,
+      buildPolicyUpdate(req.body),
+      { new: true, runValidators: true }
+    );
+
+    res.json({ msg: "Eligibility policy updated", policy: await getCoursePolicy(course) });
+  } catch (err) {
+    sendError(res, err, "Course eligibility policy");
+  }
+});
+
+// Admin: department rule
+router.put("/department/:departmentId/policy", auth, roleCheck(["admin"]), async (req, res) => {
+  try {
+    const department = await Department.findByIdAndUpdate(
+      req.params.departmentId,
+      buildPolicyUpdate(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!department) return res.status(404).json({ msg: "Department not found" });
+
+    res.json({
+      msg: "Department eligibility policy updated",
+      policy: resolveEligibilityPolicy(null, department),
+    });
+  } catch (err) {
+    sendError(res, err, "Department eligibility policy");
+  }
+});
+
+// Lecturer / admin: force eligible or barred, with a reason
+router.put("/course/:courseId/overrides/:studentId", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { courseId, studentId } = req.params;
+    const reason = String(req.body.reason || "").trim();
+
+    if (typeof req.body.eligible !== "boolean") {
+      return res.status(400).json({ msg: "eligible must be true or false" });
+    }
+    if (!reason) return res.status(400).json({ msg: "A reason is required for an override" });
+
+    await verifyCourseAccess(courseId, req.user);
+
+    const enrollment = await Enrollment.findOne({ course: courseId, student: studentId });
+    if (!enrollment) return res.status(400).json({ msg: "Student not enrolled" });
+
+    const override = await EligibilityOverride.findOneAndUpdate(
+      { course: courseId, semester: enrollment.semester, student: studentId },
+      { eligible: req.body.eligible, reason, setBy: req.user.id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate("setBy", "name role");
+
+    res.json({ msg: "Eligibility override saved", override });
+  } catch (err) {
+    sendError(res, err, "Eligibility override");
+  }
+});
+
+// Lecturer / admin: back to the computed result
+router.delete("/course/:courseId/overrides/:studentId", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { courseId, studentId } = req.params;
+    await verifyCourseAccess(courseId, req.user);
+
+    const enrollment = await Enrollment.findOne({ course: courseId, student: studentId });
+    if (!enrollment) return res.status(400).json({ msg: "Student not enrolled" });
+
+    // Only the current semester's override; earlier semesters keep theirs
+    const removed = await EligibilityOverride.findOneAndDelete({
+      course: courseId,
+      semester: enrollment.semester,
+      student: studentId,
+    });
+    if (!removed) return res.status(404).json({ msg: "No override for this student" });
+
+    res.json({ msg: "Eligibility override removed" });
+  } catch (err) {
+    sendError(res, err, "Remove eligibility override");
+  }
+});
+
+module.exports = router;
+module.exports.buildCourseEligibility = buildCourseEligibility;
@@ -0,0 +1,300 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const multer = require("multer");
+const streamifier = require("streamifier");
+const cloudinary = require("../config/cloudinary");
+
+const ExcuseRequest = require("../models/ExcuseRequest");
+const Attendance = require("../models/Attendance");
+const Course = require("../models/Course");
+const Enrollment = require("../models/Enrollment");
+const Session = require("../models/Session");
+
+const { auth, roleCheck, studentOnly } = require("../middleware/authMiddleware");
+const { emitAttendanceUpdate } = require("./sessionRoutes");
+const { recordAttendanceChanges, changeFor } = require("../helpers/attendanceAudit");
+
+const DOCUMENT_TYPES = ["application/pdf", "image/jpeg", "image/png", "image/webp"];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(Object.assign(new Error("Document must be a PDF or an image"), { status: 400 }));
+  },
+});
+
+
+// ======================= HELPERS ======================= //
+
+function uploadDocument(file) {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { folder: "excuseDocuments", resource_type: "auto" },
+      (error, result) => {
+        if (result) resolve(result);
+        else reject(error);
+      }
+    );
+    streamifier.createReadStream(file.buffer).pipe(stream);
+  });
+}
+
+// multipart sends arrays as repeated fields, a JSON string or "id1,id2"
+function parseSessionIds(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+
+  const text = String(value).trim();
+  if (text.startsWith("[")) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw { status: 400, msg: "sessionIds must be a list of session ids" };
+    }
+  }
+  return text.split(",").map(s => s.trim()).filter(Boolean);
+}
+
+// Course lecturer or admin
+async function verifyReviewer(courseId, user) {
+  const course = await Course.findById(courseId).select("name code teacher");
+  if (!course) throw { status: 404, msg: "Course not found" };
+
+  if (user.role !== "admin" && course.teacher?.toString() !== user.id) {
+    throw { status: 403, msg: "Not authorized" };
+  }
+  return course;
+}
+
+function sendError(res, err, label) {
+  if (err.status) return res.status(err.status).json({ msg: err.msg || err.message });
+  if (err instanceof multer.MulterError) return res.status(400).json({ msg: err.message });
+  console.error(`${label} error:`, err);
+  res.status(500).json({ msg: "Server error", error: err.message });
+}
+
+// Multer errors (size, type) as JSON instead of the default error page
+const documentUpload = (req, res, next) =>
+  upload.single("document")(req, res, err => (err ? sendError(res, err, "Upload") : next()));
+
+const populateRequest = (query) =>
+  query
+    .populate("student", "name email studentId")
+    .populate("course", "name code")
+    .populate("sessions", "type createdAt status")
+    .populate("decidedBy", "name role");
+
+
+// ======================= STUDENT ======================= //
+
+// Submit an excuse against one or more Absent sessions
+// multipart/form-data: courseId, sessionIds, type, reason, document (file)
+router.post("/", auth, studentOnly(), documentUpload, async (req, res) => {
+  try {
+    const { courseId, type = "excuse" } = req.body;
+    const reason = String(req.body.reason || "").trim();
+    const sessionIds = [...new Set(parseSessionIds(req.body.sessionIds).map(String))];
+
+    if (!courseId || !sessionIds.length) {
+      return res.status(400).json({ msg: "courseId and at least one session are required" });
+    }
+    if (!reason) return res.status(400).json({ msg: "A reason is required" });
+    if (!["excuse", "medical"].includes(type)) {
+      return res.status(400).json({ msg: "type must be excuse or medical" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({ msg: "Invalid course id" });
+    }
+    if (sessionIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ msg: "Invalid session id" });
+    }
+
+    const enrollment = await Enrollment.findOne({ course: courseId, student: req.user.id });
+    if (!enrollment) return res.status(403).json({ msg: "You are not enrolled in this course" });
+
+    const sessions = await Session.find({ _id: { $in: sessionIds }, course: courseId }).select("_id");
+    if (sessions.length !== sessionIds.length) {
+      return res.status(400).json({ msg: "Every session must belong to this course" });
+    }
+
+    // Only recorded absences can be excused
+    const absences = await Attendance.find({
+      student: req.user.id,
+      course: courseId,
+      session: { $in: sessionIds },
+      status: "Absent",
+    }).select("session");
+
+    if (absences.length !== sessionIds.length) {
+      const absent = new Set(absences.map(a => a.session.toString()));
+      return res.status(400).json({
+        msg: "You can only request an excuse for sessions marked Absent",
+        sessions: sessionIds.filter(id => !absent.has(id)),
+      });
+    }
+
+    const open = await ExcuseRequest.findOne({
+      student: req.user.id,
+      sessions: { $in: sessionIds },
+      status: { $in: ["pending", "approved"] },
+    }).select("_id status");
+
+    if (open) {
+      return res.status(409).json({
+        msg: `An excuse for one of these sessions is already ${open.status}`,
+        requestId: open._id,
+      });
+    }
+
+    if (!req.file && type === "medical") {
+      return res.status(400).json({ msg: "Medical leave requires a supporting document" });
+    }
+
+    const request = new ExcuseRequest({
+      student: req.user.id,
+      course: courseId,
+      semester: enrollment.semester,
+      sessions: sessionIds,
+      type,
+      reason,
+    });
+
+    // Everything else must be valid before the file goes to Cloudinary,
+    // so a rejected request never leaves an orphaned upload
+    await request.validate();
+
+    if (req.file) {
+      const result = await uploadDocument(req.file);
+      request.document = {
+        url: result.secure_url,
+        publicId: result.public_id,
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
+      };
+    }
+
+    await request.save();
+
+    res.status(201).json({ msg: "Excuse request submitted", request });
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ msg: err.message });
+    sendError(res, err, "Submit excuse");
+  }
+});
+
+// Student: own requests
+router.get("/mine", auth, studentOnly(), async (req, res) => {
+  try {
+    const filter = { student: req.user.id };
+    if (req.query.courseId) filter.course = req.query.courseId;
+
+    const requests = await populateRequest(ExcuseRequest.find(filter)).sort({ createdAt: -1 });
+    res.json({ requests });
+  } catch (err) {
+    sendError(res, err, "My excuses");
+  }
+});
+
+
+// ======================= LECTURER / ADMIN ======================= //
+
+// Requests for one course (?status=pending)
+router.get("/course/:courseId", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    await verifyReviewer(req.params.courseId, req.user);
+
+    const filter = { course: req.params.courseId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const requests = await populateRequest(ExcuseRequest.find(filter)).sort({ createdAt: -1 });
+    res.json({ requests });
+  } catch (err) {
+    sendError(res, err, "Course excuses");
+  }
+});
+
+// Admin: every request (?status=pending)
+router.get("/", auth, roleCheck(["admin"]), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const requests = await populateRequest(ExcuseRequest.find(filter)).sort({ createdAt: -1 });
+    res.json({ requests });
+  } catch (err) {
+    sendError(res, err, "All excuses");
+  }
+});
+
+// Approve / reject — a request is decided exactly once
+async function decide(req, res, status) {
+  try {
+    const existing = await ExcuseRequest.findById(req.params.id).select("course");
+    if (!existing) return res.status(404).json({ msg: "Excuse request not found" });
+
+    await verifyReviewer(existing.course, req.user);
+
+    const request = await ExcuseRequest.findOneAndUpdate(
+      { _id: req.params.id, status: "pending" },
+      {
+        status,
+        decidedBy: req.user.id,
+        decidedAt: new Date(),
+        decisionNote: req.body?.note,
+      },
+      { new: true }
+    );
+
+    if (!request) return res.status(409).json({ msg: "This request has already been decided" });
+
+    let excused = 0;
+    if (status === "approved") {
+      const absences = await Attendance.find({
+        student: request.student,
+        course: request.course,
+        session: { $in: request.sessions },
+        status: "Absent",
+      });
+
+      for (const attendance of absences) {
+        attendance.status = "Excused";
+        attendance.markedBy = req.user.id;
+        await attendance.save();
+      }
+      excused = absences.length;
+
+      await recordAttendanceChanges(
+        absences.map(a => changeFor(a, "Absent", {
+          actor: req.user.id,
+          reason: request.reason,
+          source: "excuse",
+        }))
+      );
+
+      const io = req.app.get("io");
+      for (const sessionId of request.sessions) {
+        emitAttendanceUpdate(io, {
+          courseId: request.course.toString(),
+          sessionId: sessionId.toString(),
+          source: "excuse",
+        });
+      }
+    }
+
+    res.json({
+      msg: `Excuse request ${status}`,
+      excused,
+      request: await populateRequest(ExcuseRequest.findById(request._id)),
+    });
+  } catch (err) {
+    sendError(res, err, "Decide excuse");
+  }
+}
+
+router.post("/:id/approve", auth, roleCheck(["teacher", "admin"]), (req, res) => decide(req, res, "approved"));
+router.post("/:id/reject", auth, roleCheck(["teacher", "admin"]), (req, res) => decide(req, res, "rejected"));
+
+module.exports = router;
@@ -7,6 +7,7 @@ const Course = require("../models/Course");
 const User = require("../models/User");
 
 const { auth } = require("../middleware/authMiddleware");
+const { getAttendancePolicy } = require("../helpers/attendanceHelpers");
 
 // Helper: safe ObjectId conversion
 function toObjectIdIfValid(id) {
@@ -24,7 +25,8 @@ router.get("/", auth, async (req, res) => {
         const { department, level, courseId } = req.query;
         const user = req.user;
 
-        const matchStage = { status: "Present" };
+        // Everything that can count towards attendance; weighted per course below
+        const matchStage = { status: { $in: ["Present", "Late", "Partial", "Excused"] } };
         const courseObjectId = toObjectIdIfValid(courseId);
 
         // ----------------------
@@ -94,7 +96,10 @@ router.get("/", auth, async (req, res) => {
             {
                 $group: {
                     _id: { student: "$student", course: "$course" },
-                    totalPresent: { $sum: 1 },
+                    totalPresent: { $sum: { $cond: [{ $eq: ["$status", "Present"] }, 1, 0] } },
+                    totalLate: { $sum: { $cond: [{ $eq: ["$status", "Late"] }, 1, 0] } },
+                    totalPartial: { $sum: { $cond: [{ $eq: ["$status", "Partial"] }, 1, 0] } },
+                    totalExcused: { $sum: { $cond: [{ $eq: ["$status", "Excused"] }, 1, 0] } },
                 },
             },
             {
@@ -150,26 +155,38 @@ router.get("/", auth, async (req, res) => {
                 courseCode: "$course.code",
                 courseName: "$course.name",
                 totalPresent: 1,
+                totalLate: 1,
+                totalPartial: 1,
+                totalExcused: 1,
                 totalClasses: { $ifNull: ["$course.totalClasses", 0] },
-                attendancePercentage: {
-                    $cond: [
-                        { $gt: ["$course.totalClasses", 0] },
-                        { $multiply: [{ $divide: ["$totalPresent", "$course.totalClasses"] }, 100] },
-                        0,
-                    ],
-                },
+                attendancePolicy: "$course.attendancePolicy",
             },
         });
 
         const leaderboard = await Attendance.aggregate(pipeline);
 
-        // ✅ FINAL SORT (percentage → present → name)
+        // Late / Partial / Excused weighted by each course's policy
+        leaderboard.forEach(row => {
+            const policy = getAttendancePolicy({ attendancePolicy: row.attendancePolicy });
+            delete row.attendancePolicy;
+
+            row.attended =
+                row.totalPresent +
+                row.totalLate * policy.lateWeight +
+                row.totalPartial * policy.partialWeight +
+                row.totalExcused * policy.excusedWeight;
+
+            row.attendancePercentage =
+                row.totalClasses > 0 ? (row.attended / row.totalClasses) * 100 : 0;
+        });
+
+        // ✅ FINAL SORT (percentage → attended → name)
         leaderboard.sort((a, b) => {
             if (b.attendancePercentage !== a.attendancePercentage) {
                 return b.attendancePercentage - a.attendancePercentage;
             }
-            if (b.totalPresent !== a.totalPresent) {
-                return b.totalPresent - a.totalPresent;
+            if (b.attended !== a.attended) {
+                return b.attended - a.attended;
             }
             return a.name.localeCompare(b.name);
         });
@@ -179,7 +196,7 @@ router.get("/", auth, async (req, res) => {
         let lastScore = null;
 
         leaderboard.forEach((row, index) => {
-            const scoreKey = `${row.attendancePercentage}-${row.totalPresent}`;
+            const scoreKey = `${row.attendancePercentage}-${row.attended}`;
 
             if (scoreKey !== lastScore) {
                 currentRank = index + 1;
@@ -187,7 +204,7 @@ router.get("/", auth, async (req, res) => {
             }
 
             row.rank = currentRank;
-            row.xp = (row.totalPresent || 0) * 10;
+            row.xp = (row.attended || 0) * 10;
         });
 
 
@@ -5,12 +5,34 @@ const Attendance = require("../models/Attendance");
 const Course = require("../models/Course");
 const Enrollment = require("../models/Enrollment");
 const User = require("../models/User");
+const QrTokenUse = require("../models/QrTokenUse");
+const SessionCodeAttempt = require("../models/SessionCodeAttempt");
 const { auth, roleCheck, studentOnly } = require("../middleware/authMiddleware");
+const { findNonTeachingEvent } = require("../helpers/calendarHelpers");
+const { resolveScanStatus, resolveCheckoutStatus } = require("../helpers/attendanceHelpers");
+const { recordAttendanceChanges, changeFor, setAttendanceStatus } = require("../helpers/attendanceAudit");
+const {
+  QR_ROTATE_MS,
+  STUDENT_QR_ROTATE_MS,
+  signQrToken,
+  verifyQrToken,
+  signStudentQrToken,
+  verifyStudentQrToken,
+  sessionCode,
+  verifySessionCode
+} = require("../utils/qrToken");
+const { FACE_MATCH_THRESHOLD, isValidDescriptor, faceDistance } = require("../utils/face");
+const { renderSessionSheet } = require("../utils/registerPdf");
+const { consumeFaceChallenge } = require("../helpers/faceHelpers");
+const { assessLocation, addRiskSignal, riskFields } = require("../helpers/gpsRisk");
+const { loadActiveVenue, venueGeofence, measureGeofence } = require("../helpers/venueHelpers");
+const { heartbeatFields, heartbeatGrant, presenceRoster, presenceCounts, settlePresence } = require("../helpers/presenceHelpers");
+const { courseRoom } = require("../utils/socketRooms");
+const { readScanDevice, bindTrustedDevice, findProxyClusters, PROXY_WINDOW_SECONDS } = require("../helpers/deviceHelpers");
 
 
 const QRCode = require("qrcode");
 const { v4: uuidv4 } = require("uuid");
-const crypto = require("crypto");
 
 
 const router = express.Router();
@@ -20,7 +42,7 @@ const router = express.Router();
 function emitAttendanceUpdate(io, payload = {}) {
   if (!io || !payload.courseId) return;
 
-  io.to(payload.courseId).emit("attendance-updated", {
+  io.to(courseRoom(payload.courseId)).emit("attendance-updated", {
     courseId: payload.courseId,
     sessionId: payload.sessionId,
     source: payload.source || "manual"
@@ -29,18 +51,6 @@ function emitAttendanceUpdate(io, payload = {}) {
 
 
 
-function getDistanceInMeters(lat1, lng1, lat2, lng2) {
-  const R = 6371000;
-  const toRad = x => (x * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-    Math.sin(dLng / 2) ** 2;
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-}
-
 // unchanged
 async function markAbsenteesForSession(session) {
   // 1️⃣ Get all enrolled students
@@ -68,7 +78,17 @@ async function markAbsenteesForSession(session) {
   }));
 
   if (bulkOps.length) {
-    await Attendance.bulkWrite(bulkOps);
+    const result = await Attendance.bulkWrite(bulkOps);
+
+    // 3️⃣ History for the Absent rows this sweep created
+    const insertedIds = Object.values(result.upsertedIds || {});
+    if (insertedIds.length) {
+      const inserted = await Attendance.find({ _id: { $in: insertedIds } })
+        .select("course session student status");
+      await recordAttendanceChanges(
+        inserted.map(a => changeFor(a, null, { source: "absentee-sweep" }))
+      );
+    }
   }
 }
 
@@ -103,6 +123,9 @@ async function endSession(session, io) {
     return;
   }
 
+  // Continuous presence: time in the zone settles Present / Partial / Absent
+  await settlePresence(fresh);
+
   await markAbsenteesForSession(fresh);
 
   emitAttendanceUpdate(io, {
@@ -135,8 +158,16 @@ async function cancelSession(session, io, reason = "") {
 
   await fresh.save();
 
-  // 2️⃣ Remove any attendance already recorded
+  // 2️⃣ Remove any attendance already recorded (history keeps the trail)
+  const removed = await Attendance.find({ session: fresh._id })
+    .select("course session student status");
   await Attendance.deleteMany({ session: fresh._id });
+  await recordAttendanceChanges(
+    removed.map(a => ({
+      ...changeFor(a, a.status, { actor: fresh.teacher, reason, source: "session-cancelled" }),
+      toStatus: null,
+    }))
+  );
 
   // 3️⃣ Notify via socket
   emitAttendanceUpdate(io, {
@@ -150,7 +181,29 @@ async function cancelSession(session, io, reason = "") {
 
 
 
-async function validateStudentForSession(studentId, session, location) {
+// Compare a live capture with the student's enrolled face. `challenge` is a
+// "verify" liveness challenge ({ nonce, frames }) from POST /api/auth/face-challenge;
+// it is consumed here, so a captured descriptor cannot be replayed
+async function verifyStudentFace(studentId, challenge) {
+  const student = await User.findById(studentId).select("+faceDescriptor");
+  const storedDescriptor = student?.getFaceDescriptor();
+  if (!isValidDescriptor(storedDescriptor)) {
+    throw { status: 400, msg: "Enroll your face before marking attendance", code: "FACE_NOT_ENROLLED" };
+  }
+
+  const faceDescriptor = await consumeFaceChallenge(studentId, challenge, "verify");
+
+  const distance = faceDistance(storedDescriptor, faceDescriptor);
+  if (distance > FACE_MATCH_THRESHOLD) {
+    throw { status: 401, msg: "Face verification failed", code: "FACE_MISMATCH" };
+  }
+
+  return distance;
+}
+
+// Enrollment + geofence. Every location is scored and stored (helpers/gpsRisk);
+// returns the risk result, or null for sessions without a location.
+async function validateStudentForSession(studentId, session, location, { source } = {}) {
   // 1️⃣ Check enrollment
   const enrollment = await Enrollment.findOne({
     course: session.course._id,
@@ -197,7 +250,6 @@ async function validateStudentForSession(studentId, session, location) {
     // 🔵 Normalize SESSION GPS
     const sessionLat = Number(session.location.lat);
     const sessionLng = Number(session.location.lng);
-    const sessionRadius = Number(session.location.radius) || 60;
 
     if (!Number.isFinite(sessionLat) || !Number.isFinite(sessionLng)) {
       throw { status: 500, msg: "Session location corrupted" };
@@ -208,37 +260,28 @@ async function validateStudentForSession(studentId, session, location) {
     // const sessionAccuracy = Number(session.location.accuracy) || 50;
 
 
-    // 3️⃣ Calculate distance
-    const dist = getDistanceInMeters(
-      studentLat,
-      studentLng,
-      sessionLat,
-      sessionLng
-    );
-
-    // Block fake zero-distance scans
-    if (dist < 5 && accuracy > 30) {
-      throw {
-        status: 403,
-        msg: "Fake GPS detected. Move physically closer to the lecture."
-      };
-    }
+    // 3️⃣ Accuracy-aware geofence: venue polygon when there is one, else the lecturer's circle
+    const zone = measureGeofence(session, { lat: studentLat, lng: studentLng, accuracy });
 
-    // 🔵 Accuracy-aware geofence
-    const allowedDistance =
-      session.location.radius +
-      Math.max(
-        accuracy, // student accuracy
-        Number(session.location.accuracy) || 50 // lecturer accuracy
-      );
+    // 4️⃣ Score + store before the geofence verdict so rejected fixes are kept too
+    const risk = await assessLocation({
+      studentId,
+      session,
+      location: { lat: studentLat, lng: studentLng, accuracy },
+      distance: zone.distance,
+      insideZone: zone.inside,
+      source
+    });
 
-    // 4️⃣ Enforce geofence
-    if (dist > allowedDistance) {
+    // 5️⃣ Enforce geofence
+    if (!zone.inside) {
       throw {
         status: 403,
-        msg: "Outside attendance zone (GPS accuracy considered)",
-        dist: Math.round(dist),
-        allowedDistance: Math.round(allowedDistance)
+        msg: zone.inVenue
+          ? "Outside the lecture venue (GPS accuracy considered)"
+          : "Outside attendance zone (GPS accuracy considered)",
+        dist: Math.round(zone.outsideBy),
+        allowedDistance: Math.round(zone.allowedDistance)
       };
     }
 
@@ -248,19 +291,156 @@ async function validateStudentForSession(studentId, session, location) {
     location.lng = studentLng;
     location.accuracy = accuracy;
 
+    return risk;
+  }
+
+  return null;
+}
+
+
+
+
+// Signed, self-verifying QR code for the current window (no DB write)
+function rotateQrToken(session) {
+  return signQrToken(session._id.toString());
+}
+
+// Resolve a signed QR token, or the long-lived session token (lecturer views)
+function findSessionByToken(token) {
+  try {
+    return Session.findById(verifyQrToken(token).sessionId);
+  } catch (err) {
+    return Session.findOne({ token });
+  }
+}
+
+// Replay guard: each QR code can be used once per student
+async function claimQrToken(qr, studentId, sessionId, msg = "This QR code has already been used. Scan the current code.") {
+  try {
+    await QrTokenUse.create({
+      nonce: qr.nonce,
+      student: studentId,
+      session: sessionId,
+      expiresAt: qr.expiresAt
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw { status: 409, msg };
+    }
+    throw err;
+  }
+}
+
+// Which scan this is: "single", or "check-in" / "check-out" in two-phase
+// sessions. Throws 409 when the student has nothing left to scan.
+function scanPhase(session, existing) {
+  if (!session.checkoutRequired) {
+    if (existing) throw { status: 409, alreadyMarked: true, msg: "Already marked for this session" };
+    return "single";
+  }
+
+  if (!session.checkoutOpenedAt) {
+    if (existing) {
+      throw { status: 409, alreadyMarked: true, msg: "Already checked in. Scan again when check-out opens." };
+    }
+    return "check-in";
   }
 
-  return true;
+  if (existing?.checkOutAt) throw { status: 409, alreadyMarked: true, msg: "Already checked out" };
+  if (existing && !existing.checkInAt) {
+    throw { status: 409, alreadyMarked: true, msg: "Already marked for this session" };
+  }
+  return "check-out";
 }
 
+/**
+ * Write the Attendance for one scan (QR, numeric code or reverse QR).
+ * Single scans get Present / Late. In two-phase sessions a check-in is Partial
+ * until check-out; check-out settles Present / Late / Partial by presence.
+ * A check-out without a check-in stays Partial. Check-outs update the
+ * existing record in place and never touch its heartbeat watermark.
+ */
+async function recordScan(session, studentId, existing, { fields = {}, actor, source, trackPresence = false }) {
+  const now = new Date();
+  const phase = scanPhase(session, existing);
+
+  if (phase === "check-out" && existing) {
+    const { status, presencePercent } = resolveCheckoutStatus(session, session.course, existing.checkInAt);
+
+    const attendance = await setAttendanceStatus(
+      { course: existing.course, semester: existing.semester, student: existing.student, session: session._id },
+      { status, checkOutAt: now, presencePercent, ...fields },
+      { actor, source }
+    );
+    return { attendance, phase };
+  }
+
+  const attendance = await Attendance.create({
+    course: session.course._id,
+    student: studentId,
+    semester: session.semester,
+    session: session._id,
+    sessionType: session.type,
+    status: phase === "single" ? resolveScanStatus(session, session.course, now) : "Partial",
+    date: session.createdAt,
+    ...(phase === "check-in" && { checkInAt: now }),
+    ...(phase === "check-out" && { checkOutAt: now, presencePercent: 0 }),
+    // Self-scans start presence tracking; reverse-QR marks by the lecturer do not
+    ...(trackPresence && heartbeatFields(session)),
+    ...fields
+  });
 
+  await recordAttendanceChanges([changeFor(attendance, null, { actor, source })]);
 
+  return { attendance, phase };
+}
 
-async function rotateQrToken(session) {
-  const newToken = crypto.randomBytes(12).toString("hex");
-  session.validTokens = [{ token: newToken, expiresAt: new Date(Date.now() + 10 * 1000) }];
-  await session.save();
-  return newToken;
+function scanMessage(phase, status) {
+  if (phase === "check-in") return "Checked in. Scan again when check-out opens.";
+  if (status === "Partial") return "Checked out. Partial attendance recorded.";
+  return status === "Late" ? "Attendance recorded (late)" : "Attendance recorded";
+}
+
+// Wrong numeric codes a student may try per session before being locked out
+const MAX_CODE_ATTEMPTS = 5;
+
+// Reserve one code attempt before checking the code (so parallel guesses
+// cannot slip past the limit); throws 429 once the student is out of tries.
+// A correct code hands the attempt back with refundCodeAttempt.
+async function consumeCodeAttempt(sessionId, studentId) {
+  const filter = { session: sessionId, student: studentId };
+  const update = { $inc: { attempts: 1 }, $set: { lastAttemptAt: new Date() } };
+
+  let attempt;
+  try {
+    attempt = await SessionCodeAttempt.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Two first attempts raced on the upsert; the other one created the row
+    attempt = await SessionCodeAttempt.findOneAndUpdate(filter, update, { new: true });
+  }
+
+  if (attempt.attempts > MAX_CODE_ATTEMPTS) {
+    throw {
+      status: 429,
+      msg: "Too many wrong codes for this session. Ask your lecturer to mark you.",
+      code: "CODE_ATTEMPTS_EXCEEDED"
+    };
+  }
+
+  return MAX_CODE_ATTEMPTS - attempt.attempts;
+}
+
+// Only wrong codes count: GPS retries and check-out scans never lock a student out
+function refundCodeAttempt(sessionId, studentId) {
+  return SessionCodeAttempt.updateOne(
+    { session: sessionId, student: studentId, attempts: { $gt: 0 } },
+    { $inc: { attempts: -1 } }
+  );
+}
+
+function buildQrImage(token) {
+  return QRCode.toDataURL(`${process.env.FRONTEND_URL}/student/scan/${token}`);
 }
 
 
@@ -286,6 +466,21 @@ router.get("/check", auth, studentOnly(), async (req, res) => {
   res.json({ alreadyMarked: !!exists });
 });
 
+// Student's personal rotating code for reverse QR (lecturer scans it)
+router.get("/my-code", auth, studentOnly(), async (req, res) => {
+  try {
+    const token = signStudentQrToken(req.user.id);
+
+    res.json({
+      token,
+      qrImage: await QRCode.toDataURL(token),
+      rotatesInMs: STUDENT_QR_ROTATE_MS
+    });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to issue attendance code" });
+  }
+});
+
 // Get active session for course
 router.get("/active/:courseId", auth, async (req, res) => {
   const session = await Session.findOne({
@@ -308,15 +503,12 @@ router.post("/scan/:token", auth, studentOnly(), async (req, res) => {
   try {
     const { token } = req.params;
     const studentId = req.user.id;
-    const { location } = req.body;
+    const { location, challenge } = req.body;
 
-    const session = await Session.findOne({
-      status: "active",
-      $or: [
-        { token },
-        { validTokens: { $elemMatch: { token, expiresAt: { $gt: new Date() } } } }
-      ]
-    }).populate("course");
+    // 1️⃣ Signature + time window first: forged or stale codes never reach MongoDB
+    const qr = verifyQrToken(token);
+
+    const session = await Session.findById(qr.sessionId).populate("course");
     if (!session) return res.status(404).json({ msg: "Invalid or expired QR code" });
 
     if (session.status !== "active") {
@@ -334,23 +526,38 @@ router.post("/scan/:token", auth, studentOnly(), async (req, res) => {
 
     if (new Date() > session.expiresAt) return res.status(400).json({ msg: "Session expired" });
 
-    await validateStudentForSession(studentId, session, location);
+    const device = readScanDevice(req);
 
-    const alreadyMarked = await Attendance.findOne({ session: session._id, student: studentId });
-    if (alreadyMarked) return res.status(409).json({ alreadyMarked: true, msg: "Already marked for this session" });
+    const risk = await validateStudentForSession(studentId, session, location, { source: "qr" });
 
+    // Fail fast before the face match when there is nothing to record
+    const existing = await Attendance.findOne({ session: session._id, student: studentId });
+    scanPhase(session, existing);
 
-    const attendance = await Attendance.create({
-      course: session.course._id,
-      student: studentId,
-      semester: session.semester,
-      session: session._id,
-      sessionType: "QR",
-      status: "Present",
-      date: session.createdAt,
-      faceVerified: true,
-      gpsLocation: location ? { lat: location.lat, lng: location.lng, accuracy: location.accuracy } : undefined
+    // 2️⃣ Server-side face match (the client never sees the enrolled descriptor)
+    const distance = await verifyStudentFace(studentId, challenge);
+
+    // 3️⃣ One use per student per code, claimed only once the scan passed every check
+    // so a GPS or face retry can reuse the same code; the unique index stops replays
+    await claimQrToken(qr, studentId, session._id);
+
+    // Only from the student's own phones; a failed face match never trusts a new one
+    await bindTrustedDevice(studentId, device);
+
+    // Late once the course's cutoff after the session opened has passed
+    const { attendance, phase } = await recordScan(session, studentId, existing, {
+      actor: studentId,
+      source: "qr",
+      trackPresence: true,
+      fields: {
+        faceVerified: true,
+        faceDistance: distance,
+        scanDevice: { ...device, at: new Date() },
+        gpsLocation: location ? { lat: location.lat, lng: location.lng, accuracy: location.accuracy } : undefined,
+        ...riskFields(risk, existing)
+      }
     });
+    const status = attendance.status;
 
     const io = req.app.get("io");
 
@@ -361,9 +568,14 @@ router.post("/scan/:token", auth, studentOnly(), async (req, res) => {
     });
 
 
-    if (session.token === token) await rotateQrToken(session);
-
-    res.status(201).json({ alreadyMarked: false, attendanceId: attendance._id, msg: "Attendance recorded" });
+    res.status(201).json({
+      alreadyMarked: false,
+      attendanceId: attendance._id,
+      status,
+      phase,
+      heartbeat: heartbeatGrant(session, studentId),
+      msg: scanMessage(phase, status)
+    });
   } catch (err) {
     console.error("[SCAN ERROR]", {
       msg: err.msg,
@@ -373,12 +585,166 @@ router.post("/scan/:token", auth, studentOnly(), async (req, res) => {
 
     res.status(err.status || 500).json({
       msg: err.msg || "Server error",
+      code: err.code,
+      alreadyMarked: err.alreadyMarked,
       debug: err
     });
   }
 
 });
 
+// Student types the lecturer's numeric code (no working camera). There is no
+// face match, so the record is never face-verified and goes to the lecturer's review queue
+router.post("/code", auth, studentOnly(), async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const { sessionId, code, location } = req.body;
+
+    if (!sessionId || !code) {
+      return res.status(400).json({ msg: "sessionId and code are required" });
+    }
+
+    const session = await Session.findById(sessionId).populate("course");
+    if (!session) return res.status(404).json({ msg: "Session not found" });
+
+    if (session.type !== "QR") {
+      return res.status(400).json({ msg: "This session does not support code attendance" });
+    }
+
+    if (session.status !== "active" || new Date() > session.expiresAt) {
+      return res.status(400).json({ msg: "This session is no longer active" });
+    }
+
+    const device = readScanDevice(req);
+
+    // 1️⃣ Only wrong codes use up an attempt
+    const attemptsLeft = await consumeCodeAttempt(session._id, studentId);
+
+    if (!verifySessionCode(session._id.toString(), code)) {
+      return res.status(401).json({ msg: "Incorrect or expired code", code: "CODE_MISMATCH", attemptsLeft });
+    }
+    await refundCodeAttempt(session._id, studentId);
+
+    // 2️⃣ Same enrollment + geofence checks as a QR scan
+    const gpsRisk = await validateStudentForSession(studentId, session, location, { source: "code" });
+    const risk = addRiskSignal(gpsRisk, "NO_FACE_MATCH", "Marked with the session code; face not verified");
+
+    const existing = await Attendance.findOne({ session: session._id, student: studentId });
+    scanPhase(session, existing);
+
+    await bindTrustedDevice(studentId, device);
+
+    const { attendance, phase } = await recordScan(session, studentId, existing, {
+      actor: studentId,
+      source: "code",
+      trackPresence: true,
+      fields: {
+        // A code check-out keeps the verdict of a face-verified check-in
+        ...(!existing && { faceVerified: false }),
+        scanDevice: { ...device, at: new Date() },
+        gpsLocation: location ? { lat: location.lat, lng: location.lng, accuracy: location.accuracy } : undefined,
+        ...riskFields(risk, existing)
+      }
+    });
+    const status = attendance.status;
+
+    emitAttendanceUpdate(req.app.get("io"), {
+      courseId: session.course._id.toString(),
+      sessionId: session._id.toString(),
+      source: "code"
+    });
+
+    res.status(201).json({
+      alreadyMarked: false,
+      attendanceId: attendance._id,
+      status,
+      phase,
+      heartbeat: heartbeatGrant(session, studentId),
+      msg: scanMessage(phase, status)
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      msg: err.msg || "Server error",
+      code: err.code,
+      alreadyMarked: err.alreadyMarked,
+      dist: err.dist,
+      allowedDistance: err.allowedDistance
+    });
+  }
+});
+
+// Lecturer scans a student's personal code into their active session
+// (students without working GPS or camera)
+router.post("/:sessionId/scan-student", auth, roleCheck(["teacher"]), async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ msg: "token is required" });
+
+    const session = await Session.findById(req.params.sessionId).populate("course");
+    if (!session) return res.status(404).json({ msg: "Session not found" });
+
+    if (session.teacher.toString() !== req.user.id) {
+      return res.status(403).json({ msg: "Not authorized" });
+    }
+
+    if (session.status !== "active" || new Date() > session.expiresAt) {
+      return res.status(400).json({ msg: "This session is no longer active" });
+    }
+
+    // 1️⃣ Signature + short validity: a screenshot is stale within seconds
+    const code = verifyStudentQrToken(token);
+
+    const student = await User.findOne({ _id: code.studentId, role: "student" }).select("name studentId");
+    if (!student) return res.status(404).json({ msg: "Student not found" });
+
+    const enrollment = await Enrollment.findOne({ course: session.course._id, student: student._id });
+    if (!enrollment) {
+      return res.status(403).json({ msg: `${student.name} is not enrolled in this course` });
+    }
+
+    // 2️⃣ Each code counts once per session
+    await claimQrToken(code, student._id, session._id, "This code has already been scanned. Ask the student to refresh it.");
+
+    const existing = await Attendance.findOne({ session: session._id, student: student._id });
+    try {
+      scanPhase(session, existing);
+    } catch (err) {
+      return res.status(err.status).json({
+        alreadyMarked: true,
+        status: existing.status,
+        student: { _id: student._id, name: student.name, studentId: student.studentId },
+        msg: err.msg
+      });
+    }
+
+    const { attendance, phase } = await recordScan(session, student._id, existing, {
+      actor: req.user.id,
+      source: "reverse-qr",
+      fields: { markedBy: req.user.id }
+    });
+    const status = attendance.status;
+
+    emitAttendanceUpdate(req.app.get("io"), {
+      courseId: session.course._id.toString(),
+      sessionId: session._id.toString(),
+      source: "reverse-qr"
+    });
+
+    res.status(201).json({
+      attendanceId: attendance._id,
+      status,
+      phase,
+      student: { _id: student._id, name: student.name, studentId: student.studentId },
+      msg: scanMessage(phase, status)
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      msg: err.msg || "Server error",
+      code: err.code
+    });
+  }
+});
+
 // ======================= CREATE SESSIONS ======================= //
 
 // Teacher creates any session (QR/manual/rollcall)
@@ -387,7 +753,9 @@ router.post("/scan/:token", auth, studentOnly(), async (req, res) => {
 router.post("/:courseId/create", auth, roleCheck(["teacher"]), async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { type, location, duration } = req.body;
+    const {
+      type, location, duration, override, checkout, minPresencePercent, venueId, presenceTracking, heartbeatSeconds
+    } = req.body;
 
     const safeType = ["QR", "MANUAL", "ROLLCALL"].includes(type?.toUpperCase())
       ? type.toUpperCase()
@@ -397,6 +765,32 @@ router.post("/:courseId/create", auth, roleCheck(["teacher"]), async (req, res)
     if (!course) return res.status(404).json({ msg: "Course not found" });
     if (course.teacher.toString() !== req.user.id) return res.status(403).json({ msg: "Not authorized" });
 
+    const checkoutRequired = checkout === true || checkout === "true";
+    if (checkoutRequired && safeType !== "QR") {
+      return res.status(400).json({ msg: "Check-in/check-out is only available for QR sessions" });
+    }
+
+    const tracking = presenceTracking === true || presenceTracking === "true";
+    if (tracking && safeType !== "QR") {
+      return res.status(400).json({ msg: "Continuous presence is only available for QR sessions" });
+    }
+    if (tracking && checkoutRequired) {
+      return res.status(400).json({ msg: "Use either check-out or continuous presence, not both" });
+    }
+
+    // Registered lecture hall: its polygon replaces the lecturer's phone location
+    const venue = venueId ? await loadActiveVenue(venueId) : null;
+
+    // Academic calendar: refuse on non-teaching days unless the lecturer overrides
+    const closedBy = await findNonTeachingEvent(course.semester);
+    if (closedBy && !override) {
+      return res.status(409).json({
+        msg: `Today is a non-teaching day (${closedBy.title}). Resend with override to hold the class anyway.`,
+        code: "NON_TEACHING_DAY",
+        event: { id: closedBy._id, title: closedBy.title, type: closedBy.type }
+      });
+    }
+
     const io = req.app.get("io");
 
     // Expire previous sessions
@@ -416,12 +810,30 @@ router.post("/:courseId/create", auth, roleCheck(["teacher"]), async (req, res)
       token,
       expiresAt,
       status: "active",
-      validTokens: [],
       type: safeType,
+      ...(venue && { venue: venue.name, venueRef: venue._id }),
     };
 
+    // Two-phase: duration should cover the whole class so check-out can open near the end
+    if (checkoutRequired) {
+      sessionData.checkoutRequired = true;
+      if (minPresencePercent !== undefined) sessionData.minPresencePercent = Number(minPresencePercent);
+    }
+
+    // Continuous presence: phones ping every heartbeatSeconds until the session ends
+    if (tracking) {
+      sessionData.presenceTracking = true;
+      if (heartbeatSeconds !== undefined) {
+        sessionData.heartbeatSeconds = Math.min(Math.max(Number(heartbeatSeconds) || 60, 15), 300);
+      }
+      if (minPresencePercent !== undefined) sessionData.minPresencePercent = Number(minPresencePercent);
+    }
+
     // ✅ Only attach location if session is QR
-    if (safeType === "QR") {
+    if (safeType === "QR" && venue) {
+      sessionData.location = venueGeofence(venue);
+      sessionData.locationLockedAt = new Date();
+    } else if (safeType === "QR") {
       if (!location || !Number.isFinite(Number(location.lat)) || !Number.isFinite(Number(location.lng))) {
         return res.status(400).json({
           msg: "Lecture location is required for QR sessions"
@@ -462,10 +874,13 @@ router.post("/:courseId/create", auth, roleCheck(["teacher"]), async (req, res)
     const session = await Session.create(sessionData);
 
     // Generate QR only for QR sessions
+    let qrToken = null;
     let qrImage = null;
+    let numericCode = null;
     if (safeType === "QR") {
-      const qrData = `${process.env.FRONTEND_URL}/student/scan/${token}`;
-      qrImage = await QRCode.toDataURL(qrData);
+      qrToken = rotateQrToken(session);
+      qrImage = await buildQrImage(qrToken);
+      numericCode = sessionCode(session._id.toString());
     }
 
     emitAttendanceUpdate(io, {
@@ -476,17 +891,23 @@ router.post("/:courseId/create", auth, roleCheck(["teacher"]), async (req, res)
 
     res.json({
       msg: "Session created",
-      token,
+      token: qrToken || token,
       qrImage,
+      rotatesInMs: safeType === "QR" ? QR_ROTATE_MS : undefined,
+      code: numericCode?.code,
+      codeExpiresAt: numericCode?.expiresAt,
       expiresAt,
       sessionId: session._id,
-      type: safeType
+      type: safeType,
+      checkoutRequired,
+      presenceTracking: tracking,
+      warning: closedBy ? `Held on a non-teaching day (${closedBy.title})` : undefined
     });
 
   } catch (err) {
     console.error("[CREATE SESSION ERROR]", err.message, err);
-    res.status(500).json({
-      msg: err.message || "Server error",
+    res.status(err.status || 500).json({
+      msg: err.msg || err.message || "Server error",
       error: err
     });
   }
@@ -500,15 +921,71 @@ router.post("/:courseId/create", auth, roleCheck(["teacher"]), async (req, res)
 router.post("/:sessionId/refresh", auth, roleCheck(["teacher"]), async (req, res) => {
   const session = await Session.findById(req.params.sessionId);
   if (!session) return res.status(404).json({ msg: "Session not found" });
+
+  if (session.teacher.toString() !== req.user.id) {
+    return res.status(403).json({ msg: "Not authorized" });
+  }
+
   if (session.status === "expired") return res.status(400).json({ msg: "Session expired" });
 
   if (session.type !== "QR") return res.status(400).json({ msg: "Only QR sessions can refresh token" });
 
-  const newToken = await rotateQrToken(session);
-  const qrData = `${process.env.FRONTEND_URL}/student/scan/${newToken}`;
-  const qrImage = await QRCode.toDataURL(qrData);
+  const newToken = rotateQrToken(session);
+  const qrImage = await buildQrImage(newToken);
+
+  const { code, expiresAt: codeExpiresAt } = sessionCode(session._id.toString());
+
+  res.json({ msg: "QR refreshed", token: newToken, qrImage, rotatesInMs: QR_ROTATE_MS, code, codeExpiresAt });
+});
+
+// Teacher opens the check-out window of a two-phase session (near the end of class);
+// the session closes when the window does
+router.post("/:sessionId/checkout", auth, roleCheck(["teacher"]), async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.sessionId);
+    if (!session) return res.status(404).json({ msg: "Session not found" });
+    if (session.teacher.toString() !== req.user.id) return res.status(403).json({ msg: "Not authorized" });
+
+    if (!session.checkoutRequired) {
+      return res.status(400).json({ msg: "This session does not use check-out" });
+    }
+    if (session.status !== "active" || new Date() > session.expiresAt) {
+      return res.status(400).json({ msg: "This session is no longer active" });
+    }
+
+    const windowMinutes = Math.min(Math.max(Number(req.body?.windowMinutes) || 10, 1), 30);
+    const now = new Date();
+
+    const updated = await Session.findOneAndUpdate(
+      { _id: session._id, status: "active", checkoutOpenedAt: { $exists: false } },
+      { $set: { checkoutOpenedAt: now, expiresAt: new Date(now.getTime() + windowMinutes * 60 * 1000) } },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ msg: "Check-out is already open" });
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(courseRoom(updated.course)).emit("checkout-opened", {
+        courseId: updated.course.toString(),
+        sessionId: updated._id.toString(),
+        closesAt: updated.expiresAt
+      });
+    }
+
+    emitAttendanceUpdate(io, {
+      courseId: updated.course.toString(),
+      sessionId: updated._id.toString(),
+      source: "checkout-opened"
+    });
 
-  res.json({ msg: "QR refreshed", token: newToken, qrImage });
+    res.json({
+      msg: "Check-out opened",
+      checkoutOpenedAt: updated.checkoutOpenedAt,
+      expiresAt: updated.expiresAt
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ msg: err.msg || err.message || "Server error" });
+  }
 });
 
 // Teacher manually end session
@@ -578,33 +1055,159 @@ router.post("/:sessionId/cancel", auth, roleCheck(["teacher"]), async (req, res)
 });
 
 
-// ======================= STUDENT FACE DESCRIPTOR =======================
+// ======================= PROXY-SCAN REPORT =======================
+// Different students scanning from one device or IP within seconds of each other
+// GET /:sessionId/proxy-report?withinSeconds=30
+
+router.get("/:sessionId/proxy-report", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.sessionId).select("course teacher type createdAt status");
+    if (!session) return res.status(404).json({ msg: "Session not found" });
+
+    if (req.user.role !== "admin" && session.teacher.toString() !== req.user.id) {
+      return res.status(403).json({ msg: "Not authorized" });
+    }
+
+    const withinSeconds = Math.min(Math.max(Number(req.query.withinSeconds) || PROXY_WINDOW_SECONDS, 1), 600);
+
+    const records = await Attendance.find({ session: session._id, "scanDevice.hash": { $exists: true } })
+      .select("student status scanDevice createdAt")
+      .populate("student", "name studentId");
+
+    const flags = findProxyClusters(records, withinSeconds);
+
+    res.json({
+      session: { _id: session._id, type: session.type, status: session.status, createdAt: session.createdAt },
+      withinSeconds,
+      scans: records.length,
+      flagged: new Set(flags.flatMap(f => f.students.map(s => String(s._id)))).size,
+      flags
+    });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to build proxy report", error: err.message });
+  }
+});
+
+
+// Continuous presence: who is in the zone right now
+router.get("/:sessionId/presence", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.sessionId)
+      .select("course teacher status presenceTracking heartbeatSeconds minPresencePercent");
+    if (!session) return res.status(404).json({ msg: "Session not found" });
+
+    if (req.user.role !== "admin" && session.teacher.toString() !== req.user.id) {
+      return res.status(403).json({ msg: "Not authorized" });
+    }
+
+    if (!session.presenceTracking) {
+      return res.status(400).json({ msg: "This session does not track presence" });
+    }
+
+    const [counts, students] = await Promise.all([presenceCounts(session), presenceRoster(session)]);
+
+    res.json({
+      session: {
+        _id: session._id,
+        status: session.status,
+        heartbeatSeconds: session.heartbeatSeconds,
+        minPresencePercent: session.minPresencePercent
+      },
+      ...counts,
+      students
+    });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to load presence", error: err.message });
+  }
+});
+
+// Heartbeat key again after the app restarts (only for the student's own check-in)
+router.get("/:sessionId/heartbeat-key", auth, studentOnly(), async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.sessionId)
+      .select("status expiresAt presenceTracking heartbeatSeconds");
+    if (!session || !session.presenceTracking) {
+      return res.status(404).json({ msg: "This session does not track presence" });
+    }
+    if (session.status !== "active" || new Date() > session.expiresAt) {
+      return res.status(400).json({ msg: "This session is no longer active" });
+    }
+
+    const record = await Attendance.exists({ session: session._id, student: req.user.id, "heartbeat.tracked": true });
+    if (!record) return res.status(403).json({ msg: "Check in before sending heartbeats" });
+
+    res.json({ heartbeat: heartbeatGrant(session, req.user.id), expiresAt: session.expiresAt });
+  } catch (err) {
+    res.status(500).json({ msg: "Failed to issue heartbeat key", error: err.message });
+  }
+});
+
+
+// ======================= PRINTABLE SESSION SHEET =======================
+// Branded PDF for one session: present / absent lists with signature column
+
+router.get("/:sessionId/sheet", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.sessionId)
+      .populate("course", "name code teacher")
+      .populate("teacher", "name");
+    if (!session) return res.status(404).json({ msg: "Session not found" });
+
+    const isTeacher = session.course?.teacher?.toString() === req.user.id;
+    if (req.user.role !== "admin" && !isTeacher) {
+      return res.status(403).json({ msg: "Not authorized" });
+    }
+
+    const [enrollments, records] = await Promise.all([
+      Enrollment.find({ course: session.course._id }).populate("student", "name studentId"),
+      Attendance.find({ session: session._id }).select("student status createdAt")
+    ]);
+
+    const byStudent = new Map(records.map(r => [r.student.toString(), r]));
+
+    const students = enrollments
+      .filter(e => e.student)
+      .map(e => {
+        const record = byStudent.get(e.student._id.toString());
+        return {
+          studentId: e.student.studentId || "",
+          name: e.student.name,
+          status: record?.status || null,
+          markedAt: record?.createdAt
+        };
+      })
+      .sort((a, b) => a.studentId.localeCompare(b.studentId));
+
+    renderSessionSheet(res, {
+      course: session.course,
+      teacher: session.teacher,
+      session,
+      students
+    });
+  } catch (err) {
+    console.error("Session sheet error:", err);
+    res.status(500).json({ msg: "Failed to generate attendance sheet" });
+  }
+});
+
+// ======================= STUDENT FACE STATUS =======================
+// Face matching happens on POST /scan; only report whether a face is enrolled
 
 router.get("/:token/student", auth, studentOnly(), async (req, res) => {
-  const session = await Session.findOne({
-    $or: [
-      { token: req.params.token },
-      { validTokens: { $elemMatch: { token: req.params.token, expiresAt: { $gt: new Date() } } } }
-    ]
-  });
+  const session = await findSessionByToken(req.params.token);
 
   if (!session) return res.status(404).json({ msg: "Session not found" });
 
-  const student = await User.findById(req.user.id);
-  if (!student?.faceDescriptor?.length) return res.status(400).json({ msg: "Face descriptor missing" });
+  const student = await User.findById(req.user.id).select("+faceDescriptor");
+  if (!student?.hasFace()) return res.status(400).json({ msg: "Face descriptor missing" });
 
-  res.json({ sessionId: session._id, studentFaceDescriptor: student.faceDescriptor });
+  res.json({ sessionId: session._id, faceEnrolled: true });
 });
 
 // ======================= GET SESSION BY TOKEN (generic) =======================
 router.get("/:token", auth, async (req, res) => {
   try {
-    const session = await Session.findOne({
-      $or: [
-        { token: req.params.token },
-        { validTokens: { $elemMatch: { token: req.params.token, expiresAt: { $gt: new Date() } } } }
-      ]
-    }).populate({
+    const session = await findSessionByToken(req.params.token).populate({
       path: "course",
       populate: { path: "teacher", select: "name email role location radius" }
     });
@@ -622,4 +1225,8 @@ module.exports = router;
 module.exports.markAbsenteesForSession = markAbsenteesForSession;
 module.exports.endSession = endSession;
 module.exports.cancelSession = cancelSession;
-module.exports.emitAttendanceUpdate = emitAttendanceUpdate;
\ No newline at end of file
+module.exports.emitAttendanceUpdate = emitAttendanceUpdate;
+module.exports.rotateQrToken = rotateQrToken;
+module.exports.buildQrImage = buildQrImage;
+module.exports.validateStudentForSession = validateStudentForSession;
+module.exports.verifyStudentFace = verifyStudentFace;
@@ -0,0 +1,198 @@
+const express = require("express");
+const router = express.Router();
+
+const SpotCheck = require("../models/SpotCheck");
+const Attendance = require("../models/Attendance");
+const Course = require("../models/Course");
+const Session = require("../models/Session");
+
+const { auth, roleCheck, studentOnly } = require("../middleware/authMiddleware");
+const { validateStudentForSession, verifyStudentFace } = require("./sessionRoutes");
+const { SPOT_CHECK_GRACE_MS, closeSpotCheck } = require("../utils/autoCloseSpotChecks");
+const { riskFields } = require("../helpers/gpsRisk");
+const { userRoom } = require("../utils/socketRooms");
+
+// Time students get to re-confirm
+const SPOT_CHECK_WINDOW_MS = 60 * 1000;
+
+
+// ======================= HELPERS ======================= //
+
+function sendError(res, err, label) {
+  if (err.status) {
+    return res.status(err.status).json({
+      msg: err.msg || err.message,
+      code: err.code,
+      dist: err.dist,
+      allowedDistance: err.allowedDistance,
+    });
+  }
+  console.error(`${label} error:`, err);
+  res.status(500).json({ msg: "Server error", error: err.message });
+}
+
+const formatSpotCheck = (s) => ({
+  _id: s._id,
+  session: s.session,
+  course: s.course,
+  requireFace: s.requireFace,
+  deadline: s.deadline,
+  status: s.status,
+  action: s.action,
+  targets: s.targets.length,
+  confirmed: s.responses.length,
+  failed: s.failed,
+  createdAt: s.createdAt,
+  closedAt: s.closedAt,
+});
+
+
+// ======================= LECTURER ======================= //
+
+// Fire a spot-check in the lecturer's active session
+// body: { requireFace }
+router.post("/session/:sessionId", auth, roleCheck(["teacher"]), async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.sessionId);
+    if (!session) return res.status(404).json({ msg: "Session not found" });
+    if (session.teacher.toString() !== req.user.id) return res.status(403).json({ msg: "Not authorized" });
+
+    if (session.status !== "active" || new Date() > session.expiresAt) {
+      return res.status(400).json({ msg: "Spot-checks need an active session" });
+    }
+
+    // Everyone who currently claims to be in the room
+    const targets = await Attendance.find({
+      session: session._id,
+      status: { $in: ["Present", "Late", "Partial"] },
+    }).distinct("student");
+
+    if (!targets.length) return res.status(400).json({ msg: "Nobody has checked in yet" });
+
+    let spotCheck;
+    try {
+      spotCheck = await SpotCheck.create({
+        session: session._id,
+        course: session.course,
+        triggeredBy: req.user.id,
+        requireFace: req.body?.requireFace === true || req.body?.requireFace === "true",
+        deadline: new Date(Date.now() + SPOT_CHECK_WINDOW_MS),
+        targets,
+      });
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ msg: "A spot-check is already running" });
+      throw err;
+    }
+
+    const io = req.app.get("io");
+    if (io) {
+      // Only the students being checked (and the lecturer's other screens)
+      io.to([...targets.map(userRoom), userRoom(session.teacher)]).emit("spot-check", {
+        spotCheckId: spotCheck._id.toString(),
+        sessionId: session._id.toString(),
+        courseId: session.course.toString(),
+        requireFace: spotCheck.requireFace,
+        deadline: spotCheck.deadline,
+      });
+    }
+
+    res.status(201).json({ msg: "Spot-check started", spotCheck: formatSpotCheck(spotCheck) });
+  } catch (err) {
+    sendError(res, err, "Start spot-check");
+  }
+});
+
+// Spot-checks of one session with who failed (course lecturer or admin)
+router.get("/session/:sessionId", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.sessionId).select("course");
+    if (!session) return res.status(404).json({ msg: "Session not found" });
+
+    if (req.user.role !== "admin") {
+      const course = await Course.findById(session.course).select("teacher");
+      if (course?.teacher?.toString() !== req.user.id) return res.status(403).json({ msg: "Not authorized" });
+    }
+
+    const spotChecks = await SpotCheck.find({ session: session._id })
+      .populate("failed", "name studentId")
+      .sort({ createdAt: -1 });
+
+    res.json({ spotChecks: spotChecks.map(formatSpotCheck) });
+  } catch (err) {
+    sendError(res, err, "List spot-checks");
+  }
+});
+
+
+// ======================= STUDENT ======================= //
+
+// Open spot-checks still waiting for this student (reconnects, missed events)
+router.get("/pending", auth, studentOnly(), async (req, res) => {
+  try {
+    const spotChecks = await SpotCheck.find({
+      status: "open",
+      targets: req.user.id,
+      "responses.student": { $ne: req.user.id },
+      deadline: { $gt: new Date() },
+    }).select("session course requireFace deadline");
+
+    res.json({ spotChecks });
+  } catch (err) {
+    sendError(res, err, "Pending spot-checks");
+  }
+});
+
+// Re-confirm presence: body { location, challenge } (challenge: liveness, when requireFace)
+router.post("/:id/respond", auth, studentOnly(), async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const { location, challenge } = req.body;
+
+    const spotCheck = await SpotCheck.findById(req.params.id);
+    if (!spotCheck) return res.status(404).json({ msg: "Spot-check not found" });
+
+    if (spotCheck.status !== "open" || Date.now() > spotCheck.deadline.getTime() + SPOT_CHECK_GRACE_MS) {
+      return res.status(410).json({ msg: "This spot-check has closed" });
+    }
+
+    if (!spotCheck.targets.some(id => id.toString() === studentId)) {
+      return res.status(403).json({ msg: "This spot-check is not for you" });
+    }
+
+    if (spotCheck.responses.some(r => r.student.toString() === studentId)) {
+      return res.status(409).json({ msg: "Already confirmed" });
+    }
+
+    // Same enrollment + geofence checks as the original scan
+    const session = await Session.findById(spotCheck.session).populate("course");
+    const risk = await validateStudentForSession(studentId, session, location, { source: "spot-check" });
+
+    if (spotCheck.requireFace) await verifyStudentFace(studentId, challenge);
+
+    // A suspicious re-confirmation raises the record's risk too
+    if (risk?.signals.length) {
+      const record = await Attendance.findOne({ session: session._id, student: studentId })
+        .select("riskScore riskSignals riskReview")
+        .lean();
+      if (record) await Attendance.updateOne({ _id: record._id }, { $set: riskFields(risk, record) });
+    }
+
+    const result = await SpotCheck.updateOne(
+      { _id: spotCheck._id, status: "open", "responses.student": { $ne: studentId } },
+      { $push: { responses: { student: studentId, at: new Date(), faceVerified: spotCheck.requireFace } } }
+    );
+    if (!result.modifiedCount) return res.status(409).json({ msg: "Already confirmed or closed" });
+
+    // Everyone answered: no need to wait for the deadline
+    if (spotCheck.responses.length + 1 >= spotCheck.targets.length) {
+      const fresh = await SpotCheck.findById(spotCheck._id).select("targets responses");
+      if (fresh.responses.length >= fresh.targets.length) await closeSpotCheck(fresh, req.app.get("io"));
+    }
+
+    res.json({ msg: "Presence confirmed" });
+  } catch (err) {
+    sendError(res, err, "Spot-check response");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,319 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Session = require("../models/Session");
+const TimetableSlot = require("../models/TimetableSlot");
+const { auth, roleCheck } = require("../middleware/authMiddleware");
+const { getLocalDayKey } = require("../utils/dayKey");
+const { getDayKeyWeekday, getSlotOccurrences } = require("../utils/timetable");
+const { getNonTeachingDays, getPlannedClasses } = require("../helpers/calendarHelpers");
+
+const router = express.Router();
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// ======================= HELPERS ======================= //
+
+// Lecturer of the course or any admin
+async function verifyCourseAccess(courseId, user) {
+  const course = await Course.findById(courseId).populate("semester");
+  if (!course) throw { status: 404, msg: "Course not found" };
+
+  if (user.role !== "admin" && course.teacher?.toString() !== user.id) {
+    throw { status: 403, msg: "Not authorized" };
+  }
+
+  return course;
+}
+
+async function loadSlot(slotId, user) {
+  const slot = await TimetableSlot.findById(slotId);
+  if (!slot) throw { status: 404, msg: "Timetable slot not found" };
+
+  const course = await verifyCourseAccess(slot.course, user);
+  return { slot, course };
+}
+
+// Pick and validate editable slot fields from a request body
+function normalizeSlotInput(body = {}) {
+  const data = {};
+
+  if (body.dayOfWeek !== undefined) {
+    const day = Number(body.dayOfWeek);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      throw { status: 400, msg: "dayOfWeek must be 0 (Sunday) to 6 (Saturday)" };
+    }
+    data.dayOfWeek = day;
+  }
+
+  if (body.startTime !== undefined) {
+    if (!TIME_REGEX.test(body.startTime)) {
+      throw { status: 400, msg: "startTime must be HH:mm (24h)" };
+    }
+    data.startTime = body.startTime;
+  }
+
+  if (body.duration !== undefined) {
+    data.duration = Math.min(Math.max(Number(body.duration) || 60, 10), 180);
+  }
+
+  if (body.venue !== undefined) data.venue = String(body.venue);
+
+  // Registered venue (null / "" unlinks it)
+  if (body.venueId !== undefined) {
+    if (body.venueId && !mongoose.isValidObjectId(body.venueId)) {
+      throw { status: 400, msg: "Invalid venue id" };
+    }
+    data.venueRef = body.venueId || null;
+  }
+
+  if (body.type !== undefined) {
+    const type = String(body.type).toUpperCase();
+    if (!["QR", "MANUAL", "ROLLCALL"].includes(type)) {
+      throw { status: 400, msg: "Invalid session type" };
+    }
+    data.type = type;
+  }
+
+  if (body.location !== undefined) {
+    const { lat, lng, radius, accuracy } = body.location || {};
+    if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) {
+      throw { status: 400, msg: "Invalid lecture location" };
+    }
+    data.location = {
+      lat: Number(lat),
+      lng: Number(lng),
+      radius: Math.min(Math.max(Number(radius) || 60, 10), 300),
+      accuracy: Math.min(Math.max(Number(accuracy) || 50, 10), 120),
+    };
+  }
+
+  if (body.active !== undefined) data.active = !!body.active;
+
+  return data;
+}
+
+function validateDayKey(slot, dayKey) {
+  if (!DAY_KEY_REGEX.test(dayKey)) {
+    throw { status: 400, msg: "Occurrence date must be YYYY-MM-DD" };
+  }
+  if (getDayKeyWeekday(dayKey) !== slot.dayOfWeek) {
+    throw { status: 400, msg: "This slot does not run on that day" };
+  }
+}
+
+function upsertException(slot, dayKey, changes) {
+  const existing = slot.getException(dayKey);
+  if (existing) {
+    Object.assign(existing, changes);
+  } else {
+    slot.exceptions.push({ dayKey, ...changes });
+  }
+}
+
+// Keep Course.totalClasses in step with the timetable and academic calendar
+async function syncPlannedClasses(course) {
+  const hasSlots = await TimetableSlot.exists({ course: course._id });
+  if (!hasSlots) return course.totalClasses;
+
+  const planned = await getPlannedClasses(course);
+  await Course.updateOne({ _id: course._id }, { $set: { totalClasses: planned } });
+  return planned;
+}
+
+function sendError(res, err, fallback) {
+  if (err.status) return res.status(err.status).json({ msg: err.msg });
+  if (err.name === "ValidationError") {
+    return res.status(400).json({ msg: err.message });
+  }
+  console.error(`[TIMETABLE] ${fallback}:`, err);
+  res.status(500).json({ msg: fallback });
+}
+
+// ======================= ROUTES ======================= //
+
+// Weekly slots for a course (anyone signed in can read the timetable)
+router.get("/course/:courseId", auth, async (req, res) => {
+  try {
+    const slots = await TimetableSlot.find({ course: req.params.courseId })
+      .sort({ dayOfWeek: 1, startTime: 1 });
+
+    res.json({ slots });
+  } catch (err) {
+    sendError(res, err, "Failed to fetch timetable");
+  }
+});
+
+// Dated occurrences for a course, with the session opened for each (if any)
+router.get("/course/:courseId/occurrences", auth, async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + 6 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to) || to < from) {
+      return res.status(400).json({ msg: "Invalid date range" });
+    }
+
+    const course = await Course.findById(req.params.courseId).select("semester");
+    if (!course) return res.status(404).json({ msg: "Course not found" });
+
+    const slots = await TimetableSlot.find({ course: course._id, active: true });
+    const closedDays = await getNonTeachingDays(course.semester, from, to);
+
+    const occurrences = slots
+      .flatMap(slot => getSlotOccurrences(slot, from, to, closedDays))
+      .sort((a, b) => a.startsAt - b.startsAt);
+
+    const sessions = await Session.find({
+      slot: { $in: slots.map(s => s._id) },
+      occurrenceKey: { $in: occurrences.map(o => o.dayKey) }
+    }).select("slot occurrenceKey status");
+
+    const withSessions = occurrences.map(o => {
+      const session = sessions.find(
+        s => s.slot.toString() === o.slotId.toString() && s.occurrenceKey === o.dayKey
+      );
+      return {
+        ...o,
+        sessionId: session?._id || null,
+        sessionStatus: session?.status || null,
+      };
+    });
+
+    res.json({ from: getLocalDayKey(from), to: getLocalDayKey(to), occurrences: withSessions });
+  } catch (err) {
+    sendError(res, err, "Failed to fetch occurrences");
+  }
+});
+
+// Create a weekly slot
+router.post("/course/:courseId", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const course = await verifyCourseAccess(req.params.courseId, req.user);
+    const data = normalizeSlotInput(req.body);
+
+    if (data.dayOfWeek === undefined || !data.startTime) {
+      return res.status(400).json({ msg: "dayOfWeek and startTime are required" });
+    }
+
+    const slot = await TimetableSlot.create({
+      ...data,
+      course: course._id,
+      semester: course.semester._id,
+      createdBy: req.user.id,
+    });
+
+    const totalClasses = await syncPlannedClasses(course);
+
+    res.status(201).json({ msg: "Timetable slot created", slot, totalClasses });
+  } catch (err) {
+    sendError(res, err, "Failed to create timetable slot");
+  }
+});
+
+// Edit a weekly slot (applies to all future occurrences)
+router.put("/:slotId", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { slot, course } = await loadSlot(req.params.slotId, req.user);
+
+    Object.assign(slot, normalizeSlotInput(req.body));
+
+    // Exceptions are tied to a weekday; drop the ones that no longer line up
+    slot.exceptions = slot.exceptions.filter(
+      e => getDayKeyWeekday(e.dayKey) === slot.dayOfWeek
+    );
+
+    await slot.save();
+    const totalClasses = await syncPlannedClasses(course);
+
+    res.json({ msg: "Timetable slot updated", slot, totalClasses });
+  } catch (err) {
+    sendError(res, err, "Failed to update timetable slot");
+  }
+});
+
+// Remove a weekly slot (sessions already held are kept)
+router.delete("/:slotId", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { slot, course } = await loadSlot(req.params.slotId, req.user);
+
+    await slot.deleteOne();
+    const totalClasses = await syncPlannedClasses(course);
+
+    res.json({ msg: "Timetable slot deleted", totalClasses });
+  } catch (err) {
+    sendError(res, err, "Failed to delete timetable slot");
+  }
+});
+
+// Edit a single occurrence (time / duration / venue)
+router.put("/:slotId/occurrences/:dayKey", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { slot } = await loadSlot(req.params.slotId, req.user);
+    const { dayKey } = req.params;
+    validateDayKey(slot, dayKey);
+
+    // Only the fields sent: earlier overrides for the others stay in place
+    const overrides = normalizeSlotInput({
+      startTime: req.body.startTime,
+      duration: req.body.duration,
+      venue: req.body.venue,
+    });
+
+    upsertException(slot, dayKey, {
+      skipped: false,
+      ...(req.body.reason !== undefined && { reason: req.body.reason }),
+      ...overrides,
+      updatedBy: req.user.id,
+    });
+
+    await slot.save();
+
+    res.json({ msg: "Occurrence updated", occurrence: getSlotOccurrences(slot, dayKey, dayKey)[0] });
+  } catch (err) {
+    sendError(res, err, "Failed to update occurrence");
+  }
+});
+
+// Skip a single occurrence
+router.post("/:slotId/occurrences/:dayKey/skip", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { slot, course } = await loadSlot(req.params.slotId, req.user);
+    const { dayKey } = req.params;
+    validateDayKey(slot, dayKey);
+
+    upsertException(slot, dayKey, {
+      skipped: true,
+      reason: req.body?.reason || "Class skipped",
+      updatedBy: req.user.id,
+    });
+
+    await slot.save();
+    const totalClasses = await syncPlannedClasses(course);
+
+    res.json({ msg: "Occurrence skipped", dayKey, totalClasses });
+  } catch (err) {
+    sendError(res, err, "Failed to skip occurrence");
+  }
+});
+
+// Restore an occurrence to the weekly defaults
+router.delete("/:slotId/occurrences/:dayKey", auth, roleCheck(["teacher", "admin"]), async (req, res) => {
+  try {
+    const { slot, course } = await loadSlot(req.params.slotId, req.user);
+
+    slot.exceptions = slot.exceptions.filter(e => e.dayKey !== req.params.dayKey);
+    await slot.save();
+    const totalClasses = await syncPlannedClasses(course);
+
+    res.json({ msg: "Occurrence restored", dayKey: req.params.dayKey, totalClasses });
+  } catch (err) {
+    sendError(res, err, "Failed to restore occurrence");
+  }
+});
+
+module.exports = router;
+module.exports.syncPlannedClasses = syncPlannedClasses;
@@ -0,0 +1,169 @@
+const express = require("express");
+const Venue = require("../models/Venue");
+const Session = require("../models/Session");
+const TimetableSlot = require("../models/TimetableSlot");
+const { auth, roleCheck } = require("../middleware/authMiddleware");
+const { normalizePolygon } = require("../helpers/venueHelpers");
+const { pointInPolygon, distanceToPolygon, polygonCenter, polygonRadius } = require("../utils/geo");
+
+const router = express.Router();
+
+// ======================= HELPERS ======================= //
+
+// Pick and validate editable venue fields from a request body
+function normalizeVenueInput(body = {}) {
+  const data = {};
+
+  if (body.name !== undefined) {
+    const name = String(body.name).trim();
+    if (!name) throw { status: 400, msg: "Venue name is required" };
+    data.name = name;
+  }
+
+  if (body.building !== undefined) data.building = String(body.building || "").trim();
+
+  if (body.floor !== undefined) {
+    const floor = Number(body.floor);
+    if (!Number.isInteger(floor)) throw { status: 400, msg: "floor must be a whole number" };
+    data.floor = floor;
+  }
+
+  if (body.capacity !== undefined) {
+    const capacity = body.capacity === null || body.capacity === "" ? undefined : Number(body.capacity);
+    if (capacity !== undefined && (!Number.isInteger(capacity) || capacity < 1)) {
+      throw { status: 400, msg: "capacity must be a positive whole number" };
+    }
+    data.capacity = capacity;
+  }
+
+  if (body.polygon !== undefined) data.polygon = normalizePolygon(body.polygon);
+
+  if (body.active !== undefined) data.active = !!body.active;
+
+  return data;
+}
+
+const formatVenue = (venue) => {
+  const center = polygonCenter(venue.polygon);
+  return {
+    _id: venue._id,
+    name: venue.name,
+    building: venue.building,
+    floor: venue.floor,
+    capacity: venue.capacity,
+    polygon: venue.polygon,
+    center,
+    radius: Math.ceil(polygonRadius(venue.polygon, center)),
+    active: venue.active,
+    createdAt: venue.createdAt,
+    updatedAt: venue.updatedAt,
+  };
+};
+
+function sendError(res, err, fallback) {
+  if (err.status) return res.status(err.status).json({ msg: err.msg });
+  if (err.code === 11000) return res.status(409).json({ msg: "A venue with this name already exists" });
+  if (err.name === "ValidationError") return res.status(400).json({ msg: err.message });
+  if (err.name === "CastError") return res.status(400).json({ msg: "Invalid venue id" });
+  console.error(`[VENUES] ${fallback}:`, err);
+  res.status(500).json({ msg: fallback });
+}
+
+// ======================= ROUTES ======================= //
+
+// Venues lecturers can pick (admins can include retired ones with ?all=true)
+router.get("/", auth, async (req, res) => {
+  try {
+    const filter = req.user.role === "admin" && req.query.all === "true" ? {} : { active: true };
+    const venues = await Venue.find(filter).sort({ building: 1, name: 1 });
+    res.json({ venues: venues.map(formatVenue) });
+  } catch (err) {
+    sendError(res, err, "Failed to fetch venues");
+  }
+});
+
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) return res.status(404).json({ msg: "Venue not found" });
+    res.json({ venue: formatVenue(venue) });
+  } catch (err) {
+    sendError(res, err, "Failed to fetch venue");
+  }
+});
+
+// Is a point inside the venue? (admins checking a freshly drawn boundary)
+// GET /:id/check?lat=&lng=
+router.get("/:id/check", auth, roleCheck(["admin"]), async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) return res.status(404).json({ msg: "Venue not found" });
+
+    const point = { lat: Number(req.query.lat), lng: Number(req.query.lng) };
+    if (!Number.isFinite(point.lat) || !Number.isFinite(point.lng)) {
+      return res.status(400).json({ msg: "lat and lng are required" });
+    }
+
+    res.json({
+      inside: pointInPolygon(point, venue.polygon),
+      metresOutside: Math.round(distanceToPolygon(point, venue.polygon)),
+    });
+  } catch (err) {
+    sendError(res, err, "Failed to check point");
+  }
+});
+
+router.post("/", auth, roleCheck(["admin"]), async (req, res) => {
+  try {
+    const data = normalizeVenueInput(req.body);
+    if (!data.name || !data.polygon) {
+      return res.status(400).json({ msg: "name and polygon are required" });
+    }
+
+    const venue = await Venue.create(data);
+    res.status(201).json({ msg: "Venue created", venue: formatVenue(venue) });
+  } catch (err) {
+    sendError(res, err, "Failed to create venue");
+  }
+});
+
+// Boundary changes apply to new sessions only; held sessions keep their copy
+router.put("/:id", auth, roleCheck(["admin"]), async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) return res.status(404).json({ msg: "Venue not found" });
+
+    Object.assign(venue, normalizeVenueInput(req.body));
+    await venue.save();
+
+    res.json({ msg: "Venue updated", venue: formatVenue(venue) });
+  } catch (err) {
+    sendError(res, err, "Failed to update venue");
+  }
+});
+
+// Venues already used by sessions or timetable slots are retired, not deleted
+router.delete("/:id", auth, roleCheck(["admin"]), async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) return res.status(404).json({ msg: "Venue not found" });
+
+    const [usedBySession, usedBySlot] = await Promise.all([
+      Session.exists({ venueRef: venue._id }),
+      TimetableSlot.exists({ venueRef: venue._id }),
+    ]);
+
+    if (usedBySession || usedBySlot) {
+      venue.active = false;
+      await venue.save();
+      return res.json({ msg: "Venue is in use and was retired instead", venue: formatVenue(venue) });
+    }
+
+    await venue.deleteOne();
+    res.json({ msg: "Venue deleted" });
+  } catch (err) {
+    sendError(res, err, "Failed to delete venue");
+  }
+});
+
+module.exports = router;
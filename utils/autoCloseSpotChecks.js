@@ -0,0 +1,104 @@
+const SpotCheck = require("../models/SpotCheck");
+const Attendance = require("../models/Attendance");
+const Course = require("../models/Course");
+const { emitAttendanceUpdate } = require("../routes/sessionRoutes");
+const { getAttendancePolicy } = require("../helpers/attendanceHelpers");
+const { setAttendanceStatus } = require("../helpers/attendanceAudit");
+const { userRoom } = require("./socketRooms");
+
+// Answers still accepted this long after the deadline (slow networks)
+const SPOT_CHECK_GRACE_MS = 5 * 1000;
+
+// Statuses a failed spot-check may downgrade, per course action
+const DOWNGRADES = {
+  partial: { from: ["Present", "Late"], to: "Partial" },
+  absent: { from: ["Present", "Late", "Partial"], to: "Absent" },
+};
+
+// Settle a spot-check once: everyone targeted who did not confirm failed
+async function closeSpotCheck(spotCheck, io) {
+  const fresh = await SpotCheck.findOneAndUpdate(
+    { _id: spotCheck._id, status: "open" },
+    { $set: { status: "closed", closedAt: new Date() } },
+    { new: true }
+  );
+  if (!fresh) return null;
+
+  const confirmed = new Set(fresh.responses.map(r => r.student.toString()));
+  const failed = fresh.targets.filter(id => !confirmed.has(id.toString()));
+
+  const course = await Course.findById(fresh.course).select("attendancePolicy");
+  const { spotCheckAction } = getAttendancePolicy(course);
+  const downgrade = DOWNGRADES[spotCheckAction];
+
+  if (failed.length) {
+    const records = await Attendance.find({ session: fresh.session, student: { $in: failed } });
+
+    for (const record of records) {
+      await Attendance.updateOne(
+        { _id: record._id },
+        {
+          $set: { flagged: true },
+          $push: { spotCheckFailures: { spotCheck: fresh._id, at: fresh.closedAt } },
+        }
+      );
+
+      if (downgrade && downgrade.from.includes(record.status)) {
+        await setAttendanceStatus(
+          { course: record.course, semester: record.semester, student: record.student, session: record.session },
+          { status: downgrade.to },
+          { actor: fresh.triggeredBy, reason: "Failed spot-check", source: "spot-check" }
+        );
+      }
+    }
+  }
+
+  fresh.failed = failed;
+  fresh.action = spotCheckAction;
+  await fresh.save();
+
+  if (io) {
+    io.to([...fresh.targets.map(userRoom), userRoom(fresh.triggeredBy)]).emit("spot-check-closed", {
+      spotCheckId: fresh._id.toString(),
+      sessionId: fresh.session.toString(),
+      confirmed: confirmed.size,
+      failed: failed.length,
+    });
+  }
+
+  if (failed.length) {
+    emitAttendanceUpdate(io, {
+      courseId: fresh.course.toString(),
+      sessionId: fresh.session.toString(),
+      source: "spot-check",
+    });
+  }
+
+  return fresh;
+}
+
+async function closeExpiredSpotChecks(io) {
+  try {
+    const due = await SpotCheck.find({
+      status: "open",
+      deadline: { $lte: new Date(Date.now() - SPOT_CHECK_GRACE_MS) },
+    }).select("_id");
+
+    for (const spotCheck of due) {
+      try {
+        await closeSpotCheck(spotCheck, io);
+      } catch (err) {
+        console.error("❌ Spot-check close failed for", spotCheck._id.toString(), err.message);
+      }
+    }
+  } catch (err) {
+    console.error("❌ Spot-check loop error:", err.message || err);
+  }
+}
+
+function startSpotCheckLoop(io, intervalMs = 10 * 1000) {
+  console.log("⏱ Spot-check loop started");
+  setInterval(() => closeExpiredSpotChecks(io), intervalMs);
+}
+
+module.exports = { SPOT_CHECK_GRACE_MS, closeSpotCheck, startSpotCheckLoop };
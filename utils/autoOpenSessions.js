@@ -0,0 +1,117 @@
+const { v4: uuidv4 } = require("uuid");
+const Session = require("../models/Session");
+const Venue = require("../models/Venue");
+const TimetableSlot = require("../models/TimetableSlot");
+const { emitAttendanceUpdate } = require("../routes/sessionRoutes");
+const { getLocalDayKey } = require("./dayKey");
+const { getDayKeyWeekday, getSlotOccurrences } = require("./timetable");
+const { getNonTeachingDays } = require("../helpers/calendarHelpers");
+const { venueGeofence } = require("../helpers/venueHelpers");
+
+async function openScheduledSession(slot, occurrence, io) {
+  const course = slot.course;
+
+  // Don't trample a session the lecturer already started by hand,
+  // nor reopen the class after they ended it early
+  const running = await Session.exists({
+    course: course._id,
+    $or: [
+      { status: "active" },
+      { createdAt: { $gte: occurrence.startsAt, $lt: occurrence.endsAt } }
+    ]
+  });
+  if (running) {
+    console.log("📌 Course already held a session for this occurrence, skipping slot", slot._id.toString());
+    return null;
+  }
+
+  const sessionData = {
+    course: course._id,
+    teacher: course.teacher,
+    semester: course.semester,
+    token: uuidv4(),
+    expiresAt: occurrence.endsAt,
+    status: "active",
+    type: slot.type,
+    slot: slot._id,
+    occurrenceKey: occurrence.dayKey,
+    autoOpened: true,
+    venue: occurrence.venue,
+  };
+
+  const venue = slot.venueRef ? await Venue.findOne({ _id: slot.venueRef, active: true }) : null;
+  if (venue) {
+    sessionData.venueRef = venue._id;
+    sessionData.venue = occurrence.venue || venue.name;
+  }
+
+  if (slot.type === "QR" && venue) {
+    sessionData.location = venueGeofence(venue);
+    sessionData.locationLockedAt = new Date();
+  } else if (slot.type === "QR") {
+    sessionData.location = {
+      lat: slot.location.lat,
+      lng: slot.location.lng,
+      radius: slot.location.radius,
+      accuracy: slot.location.accuracy,
+    };
+    sessionData.locationLockedAt = new Date();
+  }
+
+  const session = await Session.create(sessionData);
+
+  emitAttendanceUpdate(io, {
+    courseId: course._id.toString(),
+    sessionId: session._id.toString(),
+    source: "timetable-opened"
+  });
+
+  console.log("📅 Auto-opened session", session._id.toString(), "for slot", slot._id.toString());
+  return session;
+}
+
+async function openDueSessions(io) {
+  const now = new Date();
+  const todayKey = getLocalDayKey(now);
+
+  try {
+    const slots = await TimetableSlot.find({
+      active: true,
+      dayOfWeek: getDayKeyWeekday(todayKey)
+    }).populate("course", "teacher semester");
+
+    for (const slot of slots) {
+      if (!slot.course?.teacher) continue;
+
+      // Holidays, strikes, breaks and exam weeks never auto-open
+      const closedDays = await getNonTeachingDays(slot.course.semester, now, now);
+
+      const [occurrence] = getSlotOccurrences(slot, now, now, closedDays);
+      if (!occurrence || occurrence.skipped || occurrence.nonTeaching) continue;
+      if (now < occurrence.startsAt || now >= occurrence.endsAt) continue;
+
+      const alreadyOpened = await Session.exists({ slot: slot._id, occurrenceKey: todayKey });
+      if (alreadyOpened) continue;
+
+      try {
+        await openScheduledSession(slot, occurrence, io);
+      } catch (err) {
+        // 11000 = another tick already opened this occurrence
+        if (err.code !== 11000) {
+          console.error("❌ Auto-open failed for slot", slot._id.toString(), err.message || err);
+        }
+        continue;
+      }
+    }
+  } catch (err) {
+    console.error("❌ Auto-open error:", err.message || err);
+  }
+}
+
+function startAutoOpenLoop(io, intervalMs = 60 * 1000) {
+  console.log("⏱ Auto-open loop started");
+  openDueSessions(io);
+  setInterval(() => openDueSessions(io), intervalMs);
+}
+
+module.exports = { startAutoOpenLoop, openScheduledSession };
@@ -0,0 +1,81 @@
+// backend/utils/biometricCrypto.js
+//
+// AES-256-GCM envelope for face biometrics at rest:
+//   enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>
+// The current key comes from FACE_ENCRYPTION_KEY. When rotating, move the old
+// value into FACE_ENCRYPTION_KEY_PREVIOUS (comma-separated) so existing records
+// still decrypt, then run `npm run reencrypt-faces`.
+
+const crypto = require("crypto");
+
+const PREFIX = "enc:v1";
+
+// Any secret string works; it is stretched to a 32-byte key
+const deriveKey = (secret) => ({
+    id: crypto.createHash("sha256").update(`face-key-id:${secret}`).digest("hex").slice(0, 8),
+    key: crypto.createHash("sha256").update(secret).digest(),
+});
+
+const getCurrentKey = () => {
+    const secret = process.env.FACE_ENCRYPTION_KEY;
+    if (!secret) throw new Error("FACE_ENCRYPTION_KEY is not set");
+    return deriveKey(secret);
+};
+
+const getKeyById = (id) => {
+    const secrets = [
+        process.env.FACE_ENCRYPTION_KEY,
+        ...(process.env.FACE_ENCRYPTION_KEY_PREVIOUS || "").split(","),
+    ].map(s => s?.trim()).filter(Boolean);
+
+    const match = secrets.map(deriveKey).find(k => k.id === id);
+    if (!match) throw new Error(`No face encryption key available for key id ${id}`);
+    return match;
+};
+
+const isEncrypted = (stored) =>
+    typeof stored === "string" && stored.startsWith(`${PREFIX}:`);
+
+// Any JSON value (descriptor array, image data URL) → ciphertext string
+const encryptBiometric = (value) => {
+    if (value === undefined || value === null) return undefined;
+
+    const { id, key } = getCurrentKey();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+
+    return [
+        PREFIX,
+        id,
+        iv.toString("base64url"),
+        cipher.getAuthTag().toString("base64url"),
+        data.toString("base64url"),
+    ].join(":");
+};
+
+// Records written before encryption are returned unchanged until re-encrypted
+const decryptBiometric = (stored) => {
+    if (stored === undefined || stored === null) return null;
+    if (!isEncrypted(stored)) return stored;
+
+    const [, , id, iv, tag, data] = stored.split(":");
+    const { key } = getKeyById(id);
+
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    const plain = Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]);
+
+    return JSON.parse(plain.toString("utf8"));
+};
+
+// True when the value is already sealed with the current key
+const isCurrentKey = (stored) =>
+    isEncrypted(stored) && stored.split(":")[2] === getCurrentKey().id;
+
+module.exports = {
+    isEncrypted,
+    isCurrentKey,
+    encryptBiometric,
+    decryptBiometric,
+};
@@ -0,0 +1,53 @@
+// backend/utils/csv.js
+//
+// Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF/LF, BOM.
+// Returns an array of rows, each an array of trimmed strings; blank lines are kept
+// as empty rows so callers can report original line numbers.
+
+function parseCsv(text) {
+    const input = String(text || "").replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            quoted = true;
+        } else if (ch === ",") {
+            row.push(field.trim());
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && input[i + 1] === "\n") i++;
+            row.push(field.trim());
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field.trim());
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+module.exports = { parseCsv };
@@ -0,0 +1,85 @@
+// backend/utils/face.js
+
+const crypto = require("crypto");
+
+// face-api.js descriptors are 128 floats; same-person distance is well under 0.45
+const DESCRIPTOR_LENGTH = 128;
+const FACE_MATCH_THRESHOLD = 0.45;
+
+const isValidDescriptor = (descriptor) =>
+    Array.isArray(descriptor) &&
+    descriptor.length === DESCRIPTOR_LENGTH &&
+    descriptor.every(v => Number.isFinite(Number(v)));
+
+// Euclidean distance between two descriptors
+const faceDistance = (a, b) =>
+    Math.sqrt(a.reduce((sum, v, i) => sum + (Number(v) - Number(b[i])) ** 2, 0));
+
+// ======================= LIVENESS ======================= //
+
+const LIVENESS_ACTIONS = ["turn-left", "turn-right", "blink", "smile", "nod", "open-mouth"];
+
+// Frames of one live capture must stay the same person...
+const LIVENESS_MAX_SPREAD = 0.55;
+// ...but a real head moving between prompts never yields near-identical descriptors
+const LIVENESS_MIN_FRAME_DELTA = 0.03;
+
+// Random, non-repeating action sequence such as ["turn-left", "blink"]
+const pickLivenessActions = (count = 2) => {
+    const pool = [...LIVENESS_ACTIONS];
+    const actions = [];
+    while (actions.length < count && pool.length) {
+        actions.push(pool.splice(crypto.randomInt(pool.length), 1)[0]);
+    }
+    return actions;
+};
+
+const averageDescriptor = (descriptors) =>
+    descriptors[0].map((_, i) =>
+        descriptors.reduce((sum, d) => sum + Number(d[i]), 0) / descriptors.length
+    );
+
+// Check the frames of a challenge: one neutral frame, then one per action, in order.
+// Returns the averaged descriptor to store or compare.
+const checkLivenessFrames = (frames, actions) => {
+    const expected = ["neutral", ...actions];
+
+    if (!Array.isArray(frames) || frames.length !== expected.length) {
+        throw { status: 400, msg: `Expected ${expected.length} face frames (${expected.join(", ")})` };
+    }
+
+    frames.forEach((frame, i) => {
+        if (frame?.action !== expected[i]) {
+            throw { status: 400, msg: `Frame ${i + 1} should be "${expected[i]}"` };
+        }
+        if (!isValidDescriptor(frame.descriptor)) {
+            throw { status: 400, msg: `Frame ${i + 1} has an invalid face descriptor` };
+        }
+    });
+
+    const descriptors = frames.map(f => f.descriptor.map(Number));
+
+    for (let i = 0; i < descriptors.length; i++) {
+        for (let j = i + 1; j < descriptors.length; j++) {
+            const distance = faceDistance(descriptors[i], descriptors[j]);
+
+            if (distance > LIVENESS_MAX_SPREAD) {
+                throw { status: 422, msg: "Face frames do not belong to the same person", code: "LIVENESS_INCONSISTENT" };
+            }
+            if (j === i + 1 && distance < LIVENESS_MIN_FRAME_DELTA) {
+                throw { status: 422, msg: "No movement detected between prompts. Follow the on-screen actions.", code: "LIVENESS_STATIC" };
+            }
+        }
+    }
+
+    return averageDescriptor(descriptors);
+};
+
+module.exports = {
+    DESCRIPTOR_LENGTH,
+    FACE_MATCH_THRESHOLD,
+    isValidDescriptor,
+    faceDistance,
+    pickLivenessActions,
+    checkLivenessFrames,
+};
@@ -0,0 +1,158 @@
+// backend/utils/faceIndex.js
+//
+// In-process vantage-point tree over enrolled face descriptors.
+// Radius queries ("anyone within 0.45?") prune whole subtrees using the
+// triangle inequality, so they stay sub-linear as the student body grows.
+// Changes since the last build sit in a small pending buffer (scanned
+// linearly) and trigger a rebuild once the buffer gets large.
+
+const User = require("../models/User");
+const { isValidDescriptor, faceDistance } = require("./face");
+const { decryptBiometric } = require("./biometricCrypto");
+
+const MIN_REBUILD_THRESHOLD = 64;
+const REBUILD_RATIO = 0.1;
+
+function buildNode(points) {
+    if (!points.length) return null;
+
+    const vpIndex = Math.floor(Math.random() * points.length);
+    const vp = points[vpIndex];
+    const rest = points.filter((_, i) => i !== vpIndex);
+
+    if (!rest.length) return { ...vp, mu: 0, inside: null, outside: null };
+
+    const withDistance = rest
+        .map(p => ({ point: p, d: faceDistance(vp.descriptor, p.descriptor) }))
+        .sort((a, b) => a.d - b.d);
+
+    const median = Math.floor(withDistance.length / 2);
+    const mu = withDistance[median].d;
+
+    return {
+        ...vp,
+        mu,
+        inside: buildNode(withDistance.slice(0, median).map(x => x.point)),
+        outside: buildNode(withDistance.slice(median).map(x => x.point)),
+    };
+}
+
+class FaceIndex {
+    constructor() {
+        this.entries = new Map(); // id -> descriptor (source of truth)
+        this.root = null;
+        this.pending = new Map(); // added / changed since last build
+        this.stale = new Set();   // ids whose tree copy is outdated or removed
+    }
+
+    build(entries) {
+        this.entries = new Map(entries);
+        this.pending.clear();
+        this.stale.clear();
+        this.root = buildNode(
+            [...this.entries].map(([id, descriptor]) => ({ id, descriptor }))
+        );
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    upsert(id, descriptor) {
+        const key = id.toString();
+        if (!isValidDescriptor(descriptor)) return this.remove(key);
+
+        const normalized = descriptor.map(Number);
+        if (this.entries.has(key)) this.stale.add(key);
+        this.entries.set(key, normalized);
+        this.pending.set(key, normalized);
+        this.maybeRebuild();
+    }
+
+    remove(id) {
+        const key = id.toString();
+        if (!this.entries.has(key)) return;
+
+        this.entries.delete(key);
+        this.pending.delete(key);
+        this.stale.add(key);
+        this.maybeRebuild();
+    }
+
+    maybeRebuild() {
+        const limit = Math.max(MIN_REBUILD_THRESHOLD, this.entries.size * REBUILD_RATIO);
+        if (this.pending.size + this.stale.size > limit) this.build(this.entries);
+    }
+
+    // Every other descriptor within `radius`, closest first
+    findWithin(descriptor, radius, { excludeId } = {}) {
+        const exclude = excludeId?.toString();
+        const matches = [];
+
+        const visit = (node) => {
+            if (!node) return;
+            const d = faceDistance(descriptor, node.descriptor);
+
+            if (d <= radius && node.id !== exclude && !this.stale.has(node.id)) {
+                matches.push({ id: node.id, distance: d });
+            }
+            if (d - radius <= node.mu) visit(node.inside);
+            if (d + radius >= node.mu) visit(node.outside);
+        };
+        visit(this.root);
+
+        for (const [id, pendingDescriptor] of this.pending) {
+            if (id === exclude) continue;
+            const d = faceDistance(descriptor, pendingDescriptor);
+            if (d <= radius) matches.push({ id, distance: d });
+        }
+
+        return matches.sort((a, b) => a.distance - b.distance);
+    }
+
+    // Unique pairs of distinct users whose faces are within `radius`
+    findDuplicatePairs(radius) {
+        const pairs = [];
+
+        for (const [id, descriptor] of this.entries) {
+            for (const match of this.findWithin(descriptor, radius, { excludeId: id })) {
+                if (id < match.id) pairs.push({ a: id, b: match.id, distance: match.distance });
+            }
+        }
+
+        return pairs.sort((x, y) => x.distance - y.distance);
+    }
+}
+
+const faceIndex = new FaceIndex();
+let loading = null;
+
+// Build once from MongoDB; later callers share the same promise
+function getFaceIndex() {
+    if (!loading) {
+        loading = User.find({ faceDescriptor: { $exists: true, $nin: [null, []] } })
+            .select("+faceDescriptor")
+            .lean()
+            .then(users => {
+                const entries = [];
+                for (const u of users) {
+                    try {
+                        const descriptor = decryptBiometric(u.faceDescriptor);
+                        if (isValidDescriptor(descriptor)) entries.push([u._id.toString(), descriptor]);
+                    } catch (err) {
+                        console.error("❌ Face descriptor unreadable for", u._id.toString(), err.message);
+                    }
+                }
+                faceIndex.build(entries);
+                console.log(`🧠 Face index ready (${faceIndex.size} descriptors)`);
+                return faceIndex;
+            })
+            .catch(err => {
+                loading = null; // retry on next call
+                throw err;
+            });
+    }
+    return loading;
+}
+
+module.exports = { FaceIndex, getFaceIndex };
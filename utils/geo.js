@@ -0,0 +1,83 @@
+// backend/utils/geo.js
+//
+// Small-area geometry for geofences. Polygons are [{ lat, lng }] rings
+// (closed implicitly). A lecture hall spans metres, so a local
+// equirectangular projection around the point is accurate enough.
+
+const EARTH_RADIUS = 6371000;
+const toRad = x => (x * Math.PI) / 180;
+
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Vertices in metres relative to `origin` (x east, y north)
+const project = (origin, polygon) => {
+  const cosLat = Math.cos(toRad(origin.lat));
+  return polygon.map(p => ({
+    x: toRad(p.lng - origin.lng) * EARTH_RADIUS * cosLat,
+    y: toRad(p.lat - origin.lat) * EARTH_RADIUS,
+  }));
+};
+
+// Ray casting from the origin of the projected ring
+function containsOrigin(ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < ((b.x - a.x) * (0 - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Distance from the origin to segment a-b
+function segmentDistance(a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.min(Math.max(-(a.x * dx + a.y * dy) / lengthSq, 0), 1) : 0;
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+}
+
+const pointInPolygon = (point, polygon) => containsOrigin(project(point, polygon));
+
+// 0 inside the polygon, otherwise metres to the nearest edge
+function distanceToPolygon(point, polygon) {
+  const ring = project(point, polygon);
+  if (containsOrigin(ring)) return 0;
+
+  let best = Infinity;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    best = Math.min(best, segmentDistance(ring[j], ring[i]));
+  }
+  return best;
+}
+
+// Vertex average: good enough as a reference point for convex-ish halls
+function polygonCenter(polygon) {
+  const lat = polygon.reduce((sum, p) => sum + p.lat, 0) / polygon.length;
+  const lng = polygon.reduce((sum, p) => sum + p.lng, 0) / polygon.length;
+  return { lat, lng };
+}
+
+// Furthest vertex from the centre, in metres
+function polygonRadius(polygon, center = polygonCenter(polygon)) {
+  return Math.max(...polygon.map(p => distanceMeters(center.lat, center.lng, p.lat, p.lng)));
+}
+
+module.exports = {
+  distanceMeters,
+  pointInPolygon,
+  distanceToPolygon,
+  polygonCenter,
+  polygonRadius,
+};
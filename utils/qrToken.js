@@ -0,0 +1,154 @@
+// backend/utils/qrToken.js
+//
+// Self-verifying QR payloads: <sessionId>.<issuedAt>.<nonce>.<signature>
+// issuedAt is a base36 unix-seconds stamp; the signature is an HMAC-SHA256
+// over the first three parts, so a scan can be checked without MongoDB.
+//
+// Student credentials (reverse QR, scanned by the lecturer) use the same
+// shape with an "s" prefix: s.<studentId>.<issuedAt>.<nonce>.<signature>.
+// The prefix is part of the signed body, so neither kind passes as the other.
+//
+// Numeric codes (camera-less fallback) are TOTP-style: six digits derived
+// from HMAC(sessionId, window), so they need no storage either.
+//
+// Presence heartbeats (continuous presence sessions) are signed by the phone
+// with a per-student, per-session key handed out with the check-in:
+// HMAC(key, "<sessionId>.<lat>.<lng>.<accuracy>.<sentAt>"), fields exactly as sent.
+
+const crypto = require("crypto");
+
+// A fresh code every window, plus a short grace so a scan started on the
+// previous code still lands after the projector has moved on
+const QR_ROTATE_MS = 10 * 1000;
+const QR_GRACE_MS = 5 * 1000;
+
+// Student credentials live on a phone screen, so they rotate faster
+const STUDENT_QR_ROTATE_MS = 20 * 1000;
+
+// Typed by hand, so a longer window; the previous window is still accepted
+const SESSION_CODE_ROTATE_MS = 30 * 1000;
+const SESSION_CODE_DIGITS = 6;
+
+const getSecret = () => process.env.QR_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const sign = (body) =>
+    crypto.createHmac("sha256", getSecret()).update(body).digest("base64url");
+
+const signQrToken = (sessionId, now = Date.now()) => {
+    const issuedAt = Math.floor(now / 1000).toString(36);
+    const nonce = crypto.randomBytes(6).toString("base64url");
+    const body = `${sessionId}.${issuedAt}.${nonce}`;
+    return `${body}.${sign(body)}`;
+};
+
+const verifyQrToken = (token, now = Date.now()) => {
+    const parts = String(token || "").split(".");
+    if (parts.length !== 4) throw { status: 404, msg: "Invalid or expired QR code" };
+
+    const [sessionId, issuedAtStr, nonce, signature] = parts;
+
+    const expected = Buffer.from(sign(`${sessionId}.${issuedAtStr}.${nonce}`));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw { status: 404, msg: "Invalid or expired QR code" };
+    }
+
+    const issuedAt = parseInt(issuedAtStr, 36) * 1000;
+    const expiresAt = issuedAt + QR_ROTATE_MS + QR_GRACE_MS;
+
+    // Allow a little clock skew forward, none past the grace period
+    if (issuedAt > now + QR_GRACE_MS || now > expiresAt) {
+        throw { status: 410, msg: "QR code expired. Scan the current code." };
+    }
+
+    return {
+        sessionId,
+        nonce,
+        issuedAt: new Date(issuedAt),
+        expiresAt: new Date(expiresAt),
+    };
+};
+
+const signStudentQrToken = (studentId, now = Date.now()) => {
+    const issuedAt = Math.floor(now / 1000).toString(36);
+    const nonce = crypto.randomBytes(6).toString("base64url");
+    const body = `s.${studentId}.${issuedAt}.${nonce}`;
+    return `${body}.${sign(body)}`;
+};
+
+const verifyStudentQrToken = (token, now = Date.now()) => {
+    const parts = String(token || "").split(".");
+    if (parts.length !== 5 || parts[0] !== "s") throw { status: 400, msg: "Not a student attendance code" };
+
+    const [, studentId, issuedAtStr, nonce, signature] = parts;
+
+    const expected = Buffer.from(sign(`s.${studentId}.${issuedAtStr}.${nonce}`));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw { status: 400, msg: "Invalid student attendance code" };
+    }
+
+    const issuedAt = parseInt(issuedAtStr, 36) * 1000;
+    const expiresAt = issuedAt + STUDENT_QR_ROTATE_MS + QR_GRACE_MS;
+
+    if (issuedAt > now + QR_GRACE_MS || now > expiresAt) {
+        throw { status: 410, msg: "Student code expired. Ask the student to refresh it." };
+    }
+
+    return {
+        studentId,
+        nonce,
+        issuedAt: new Date(issuedAt),
+        expiresAt: new Date(expiresAt),
+    };
+};
+
+const codeForWindow = (sessionId, window) => {
+    const digest = crypto.createHmac("sha256", getSecret()).update(`code.${sessionId}.${window}`).digest();
+    return String(digest.readUInt32BE(0) % 10 ** SESSION_CODE_DIGITS).padStart(SESSION_CODE_DIGITS, "0");
+};
+
+const sessionCode = (sessionId, now = Date.now()) => {
+    const window = Math.floor(now / SESSION_CODE_ROTATE_MS);
+    return {
+        code: codeForWindow(sessionId, window),
+        expiresAt: new Date((window + 1) * SESSION_CODE_ROTATE_MS),
+    };
+};
+
+const verifySessionCode = (sessionId, code, now = Date.now()) => {
+    const given = Buffer.from(String(code || "").replace(/\s+/g, ""));
+    const window = Math.floor(now / SESSION_CODE_ROTATE_MS);
+
+    return [window, window - 1].some(w => {
+        const expected = Buffer.from(codeForWindow(sessionId, w));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    });
+};
+
+// Derived, never stored: only the checked-in student's scan response carries it
+const heartbeatKey = (sessionId, studentId) => sign(`hb.${sessionId}.${studentId}`);
+
+const verifyHeartbeatSignature = (sessionId, studentId, { lat, lng, accuracy, sentAt, signature }) => {
+    const body = `${sessionId}.${lat}.${lng}.${accuracy}.${sentAt}`;
+    const expected = Buffer.from(
+        crypto.createHmac("sha256", heartbeatKey(sessionId, studentId)).update(body).digest("base64url")
+    );
+    const given = Buffer.from(String(signature || ""));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+module.exports = {
+    QR_ROTATE_MS,
+    QR_GRACE_MS,
+    STUDENT_QR_ROTATE_MS,
+    SESSION_CODE_ROTATE_MS,
+    signQrToken,
+    verifyQrToken,
+    signStudentQrToken,
+    verifyStudentQrToken,
+    sessionCode,
+    verifySessionCode,
+    heartbeatKey,
+    verifyHeartbeatSignature,
+};
@@ -0,0 +1,57 @@
+// backend/utils/registerExport.js
+//
+// Serializes a register grid (helpers/registerHelpers) to CSV or XLSX.
+
+const ExcelJS = require("exceljs");
+const { registerTable } = require("../helpers/registerHelpers");
+
+const LEGEND = "P = Present, L = Late, H = Partial, E = Excused, A = Absent, blank = not marked";
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const registerTitle = (grid) => `${grid.course.code} - ${grid.course.name}`;
+
+// BOM so Excel opens UTF-8 names correctly
+function registerToCsv(grid) {
+    const { header, body } = registerTable(grid);
+    const lines = [header, ...body].map(row => row.map(csvCell).join(","));
+    return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+async function registerToXlsx(grid) {
+    const { header, body } = registerTable(grid);
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = grid.generatedAt;
+
+    const sheet = workbook.addWorksheet("Register");
+
+    sheet.addRow([registerTitle(grid)]).font = { bold: true, size: 14 };
+    sheet.addRow([`Generated ${grid.generatedAt.toISOString()}`, "", "", LEGEND]);
+    sheet.addRow([]);
+
+    const headerRow = sheet.addRow(header);
+    headerRow.font = { bold: true };
+    headerRow.alignment = { vertical: "middle", horizontal: "center", wrapText: true };
+    headerRow.height = 32;
+
+    body.forEach(row => sheet.addRow(row));
+
+    // Freeze the name columns and the header
+    sheet.views = [{ state: "frozen", xSplit: 3, ySplit: headerRow.number }];
+
+    sheet.getColumn(1).width = 6;
+    sheet.getColumn(2).width = 16;
+    sheet.getColumn(3).width = 28;
+    for (let c = 4; c <= header.length; c++) {
+        sheet.getColumn(c).width = 11;
+        sheet.getColumn(c).alignment = { horizontal: "center" };
+    }
+
+    return workbook.xlsx.writeBuffer();
+}
+
+module.exports = { registerToCsv, registerToXlsx };
@@ -0,0 +1,302 @@
+// backend/utils/registerPdf.js
+//
+// Printable attendance sheets in the same branded layout as the
+// alumni transcript: per-session sign-in sheet and full course register.
+
+const PDFDocument = require("pdfkit");
+const path = require("path");
+
+const LOGO_PATH = path.join(__dirname, "../public/uniosunlogo.png");
+
+const SESSIONS_PER_PAGE = 10; // register columns that fit on landscape A4 beside the totals
+const ROW_HEIGHT = 18;
+
+const formatLagos = (date, withTime = true) =>
+    new Intl.DateTimeFormat("en-GB", {
+        timeZone: "Africa/Lagos",
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        ...(withTime && { hour: "2-digit", minute: "2-digit", hour12: false }),
+    }).format(new Date(date));
+
+function drawHeader(doc, subtitle) {
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    doc.image(LOGO_PATH, left, 30, { width: 55 });
+
+    doc
+        .font("Helvetica-Bold")
+        .fontSize(16)
+        .text("OSUN STATE UNIVERSITY", left + 70, 36)
+        .font("Helvetica")
+        .fontSize(11)
+        .text("Office of Academic Affairs", left + 70, 56)
+        .text(subtitle, left + 70, 71);
+
+    doc.moveTo(left, 95).lineTo(right, 95).stroke();
+    doc.y = 105;
+}
+
+// "Generated … · Page x of y" on every buffered page
+function drawFooters(doc, generatedAt) {
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0; // let the footer sit inside the margin
+
+        doc
+            .font("Helvetica")
+            .fontSize(8)
+            .text(
+                `Generated ${formatLagos(generatedAt)} (WAT) · Page ${i + 1} of ${range.count}`,
+                left,
+                doc.page.height - 30,
+                { width, align: "center" }
+            );
+
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+function drawInfoRows(doc, pairs) {
+    const left = doc.page.margins.left;
+    doc.font("Helvetica").fontSize(10);
+
+    pairs.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font("Helvetica-Bold").text(`${label}:`, left, y, { width: 90 });
+        doc.font("Helvetica").text(value || "-", left + 95, y);
+    });
+    doc.moveDown(0.8);
+}
+
+// Simple ruled table; repeats the header row after a page break
+function drawTable(doc, columns, rows, { onNewPage } = {}) {
+    const left = doc.page.margins.left;
+    const tableWidth = columns.reduce((sum, c) => sum + c.width, 0);
+
+    const drawRow = (values, bold = false) => {
+        if (doc.y + ROW_HEIGHT > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            if (onNewPage) onNewPage();
+            drawRow(columns.map(c => c.label), true);
+        }
+
+        const y = doc.y;
+        let x = left;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8.5);
+
+        columns.forEach((c, i) => {
+            doc.text(String(values[i] ?? ""), x + 3, y + 5, {
+                width: c.width - 6,
+                height: ROW_HEIGHT - 4,
+                align: c.align || "left",
+                ellipsis: true,
+                lineBreak: false,
+            });
+            x += c.width;
+        });
+
+        doc.rect(left, y, tableWidth, ROW_HEIGHT).stroke();
+        doc.y = y + ROW_HEIGHT;
+    };
+
+    drawRow(columns.map(c => c.label), true);
+    rows.forEach(r => drawRow(r));
+    doc.x = left;
+}
+
+function newDocument(res, fileName, options) {
+    const doc = new PDFDocument({ size: "A4", margin: 40, bufferPages: true, ...options });
+
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Content-Type", "application/pdf");
+    doc.pipe(res);
+
+    return doc;
+}
+
+/**
+ * Sign-in sheet for one session.
+ * `students`: [{ studentId, name, status, markedAt }] for every enrolled student.
+ */
+function renderSessionSheet(res, { course, teacher, session, students, generatedAt = new Date() }) {
+    const doc = newDocument(res, `${course.code}-session-${formatLagos(session.createdAt, false)}.pdf`.replace(/\s+/g, "_"));
+    const header = () => drawHeader(doc, "Class Attendance Sheet");
+
+    header();
+    drawInfoRows(doc, [
+        ["Course", `${course.code} - ${course.name}`],
+        ["Lecturer", teacher?.name],
+        ["Date", `${formatLagos(session.createdAt)} (WAT)`],
+        ["Type", session.type],
+        ["Status", session.status],
+        ["Venue", session.venue],
+    ]);
+
+    const columns = [
+        { label: "S/N", width: 32, align: "center" },
+        { label: "Matric No", width: 95 },
+        { label: "Name", width: 170 },
+        { label: "Status", width: 60, align: "center" },
+        { label: "Time", width: 50, align: "center" },
+        { label: "Signature", width: 108 },
+    ];
+
+    const time = (d) =>
+        d
+            ? new Intl.DateTimeFormat("en-GB", {
+                timeZone: "Africa/Lagos", hour: "2-digit", minute: "2-digit", hour12: false,
+            }).format(new Date(d))
+            : "";
+
+    const sections = [
+        ["Present", students.filter(s => ["Present", "Late", "Partial"].includes(s.status))],
+        ["Excused", students.filter(s => s.status === "Excused")],
+        ["Absent", students.filter(s => !["Present", "Late", "Partial", "Excused"].includes(s.status))],
+    ];
+
+    sections.forEach(([title, list]) => {
+        if (!list.length && title === "Excused") return;
+
+        if (doc.y + ROW_HEIGHT * 3 > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            header();
+        }
+
+        doc.font("Helvetica-Bold").fontSize(11).text(`${title} (${list.length})`);
+        doc.moveDown(0.3);
+
+        drawTable(
+            doc,
+            columns,
+            list.map((s, i) => [
+                i + 1,
+                s.studentId,
+                s.name,
+                s.status || "Not marked",
+                title === "Present" ? time(s.markedAt) : "",
+                "",
+            ]),
+            { onNewPage: header }
+        );
+        doc.moveDown(0.8);
+    });
+
+    const count = (status) => students.filter(s => s.status === status).length;
+    doc
+        .font("Helvetica")
+        .fontSize(10)
+        .text(
+            `Enrolled: ${students.length}   Present: ${count("Present")}   Late: ${count("Late")}   ` +
+            `Partial: ${count("Partial")}   Excused: ${count("Excused")}   ` +
+            `Absent: ${students.length - count("Present") - count("Late") - count("Partial") - count("Excused")}`
+        );
+
+    doc.moveDown(2);
+    doc.text("Lecturer's signature: ______________________________        Date: ________________");
+
+    drawFooters(doc, generatedAt);
+    doc.end();
+}
+
+/**
+ * Semester-wide register from helpers/registerHelpers.buildRegisterGrid.
+ * Wide registers are split into blocks of SESSIONS_PER_PAGE session columns;
+ * totals are repeated on every block so each printed page stands alone.
+ */
+function renderCourseRegister(res, grid) {
+    const { course } = grid;
+    const doc = newDocument(res, `${course.code}-register.pdf`.replace(/\s+/g, "_"), { layout: "landscape" });
+    const header = () => drawHeader(doc, "Semester Attendance Register");
+
+    const blocks = [];
+    for (let i = 0; i < Math.max(grid.sessions.length, 1); i += SESSIONS_PER_PAGE) {
+        blocks.push({ start: i, sessions: grid.sessions.slice(i, i + SESSIONS_PER_PAGE) });
+    }
+
+    blocks.forEach((block, b) => {
+        if (b > 0) doc.addPage();
+        header();
+
+        drawInfoRows(doc, [
+            ["Course", `${course.code} - ${course.name}`],
+            ["Lecturer", course.teacher?.name],
+            ["Sessions", blocks.length > 1
+                ? `${block.start + 1}-${block.start + block.sessions.length} of ${grid.sessions.length}`
+                : String(grid.sessions.length)],
+            ["Legend", "P = Present, L = Late, H = Partial, E = Excused, A = Absent, blank = not marked"],
+        ]);
+
+        const columns = [
+            { label: "S/N", width: 28, align: "center" },
+            { label: "Matric No", width: 80 },
+            { label: "Name", width: 130 },
+            ...block.sessions.map(s => ({
+                label: formatLagos(s.createdAt, false).slice(0, 6),
+                width: 30,
+                align: "center",
+            })),
+            { label: "P", width: 26, align: "center" },
+            { label: "L", width: 26, align: "center" },
+            { label: "H", width: 26, align: "center" },
+            { label: "E", width: 26, align: "center" },
+            { label: "A", width: 26, align: "center" },
+            { label: "%", width: 36, align: "center" },
+            { label: "Score", width: 36, align: "center" },
+        ];
+
+        drawTable(
+            doc,
+            columns,
+            grid.rows.map(r => [
+                r.index,
+                r.studentId,
+                r.name,
+                ...r.cells.slice(block.start, block.start + block.sessions.length),
+                r.present,
+                r.late,
+                r.partial,
+                r.excused,
+                r.absent,
+                r.percentage,
+                r.score,
+            ]),
+            { onNewPage: header }
+        );
+    });
+
+    // Summary totals
+    const sum = (key) => grid.rows.reduce((total, r) => total + r[key], 0);
+    const average = grid.rows.length
+        ? grid.rows.reduce((total, r) => total + r.percentage, 0) / grid.rows.length
+        : 0;
+
+    if (doc.y + 90 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        header();
+    }
+
+    doc.moveDown(1);
+    doc.font("Helvetica-Bold").fontSize(11).text("Summary");
+    doc.moveDown(0.3);
+    drawInfoRows(doc, [
+        ["Students", String(grid.rows.length)],
+        ["Sessions held", String(grid.sessions.length)],
+        ["Planned classes", String(grid.totalPlanned)],
+        ["Marks", `P ${sum("present")} · L ${sum("late")} · H ${sum("partial")} · E ${sum("excused")} · A ${sum("absent")}`],
+        ["Average", `${average.toFixed(1)}%`],
+    ]);
+
+    drawFooters(doc, grid.generatedAt);
+    doc.end();
+}
+
+module.exports = { renderSessionSheet, renderCourseRegister };
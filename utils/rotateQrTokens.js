@@ -0,0 +1,46 @@
+const Session = require("../models/Session");
+const { rotateQrToken, buildQrImage } = require("../routes/sessionRoutes");
+const { QR_ROTATE_MS, sessionCode } = require("./qrToken");
+const { qrRoom } = require("./socketRooms");
+
+async function pushQrCode(io, session) {
+  const token = rotateQrToken(session);
+  const qrImage = await buildQrImage(token);
+  const { code, expiresAt: codeExpiresAt } = sessionCode(session._id.toString());
+
+  io.to(qrRoom(session._id.toString())).emit("qr-rotated", {
+    sessionId: session._id.toString(),
+    token,
+    qrImage,
+    rotatesInMs: QR_ROTATE_MS,
+    code,
+    codeExpiresAt
+  });
+}
+
+async function rotateActiveQrSessions(io) {
+  try {
+    const sessions = await Session.find({
+      type: "QR",
+      status: "active",
+      expiresAt: { $gt: new Date() }
+    }).select("_id");
+
+    for (const session of sessions) {
+      try {
+        await pushQrCode(io, session);
+      } catch (err) {
+        console.error("❌ QR rotation failed for", session._id.toString(), err.message);
+      }
+    }
+  } catch (err) {
+    console.error("❌ QR rotation error:", err.message || err);
+  }
+}
+
+function startQrRotationLoop(io, intervalMs = QR_ROTATE_MS) {
+  console.log("⏱ QR rotation loop started");
+  setInterval(() => rotateActiveQrSessions(io), intervalMs);
+}
+
+module.exports = { startQrRotationLoop, pushQrCode };
@@ -0,0 +1,61 @@
+// backend/utils/socketRooms.js
+//
+// Socket.IO room names and who may join them. Every socket is authenticated
+// in the handshake (middleware/authMiddleware socketAuth) and sits in its
+// own user room; course and session rooms are joined on request.
+//   course:<id>   lecturer + enrolled students   attendance-updated, checkout-opened
+//   session:<id>  lecturer + enrolled students   student-receive-location
+//   user:<id>     one person's devices           spot-checks, presence counts
+//   qr:<id>       the lecturer's projector only  qr-rotated
+
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Enrollment = require("../models/Enrollment");
+const Session = require("../models/Session");
+
+const courseRoom = (courseId) => `course:${courseId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const userRoom = (userId) => `user:${userId}`;
+const qrRoom = (sessionId) => `qr:${sessionId}`;
+
+// Teaches the course, is enrolled in it, or is an admin
+async function canAccessCourse(user, courseId) {
+  if (!mongoose.isValidObjectId(courseId)) return false;
+  if (user.role === "admin") return true;
+
+  if (user.role === "teacher") {
+    return !!(await Course.exists({ _id: courseId, teacher: user._id }));
+  }
+  return !!(await Enrollment.exists({ course: courseId, student: user._id }));
+}
+
+// Throws unless `user` may join the course room
+async function authorizeCourseRoom(user, courseId) {
+  if (!(await canAccessCourse(user, courseId))) {
+    throw { status: 403, msg: "Not allowed to follow this course" };
+  }
+}
+
+// Returns the session when `user` may join its room (or act as its lecturer)
+async function authorizeSessionRoom(user, sessionId, { teacherOnly = false } = {}) {
+  if (!mongoose.isValidObjectId(sessionId)) throw { status: 400, msg: "Invalid session id" };
+
+  const session = await Session.findById(sessionId);
+  if (!session) throw { status: 404, msg: "Session not found" };
+
+  const isTeacher = session.teacher.toString() === user.id;
+  if (teacherOnly ? !isTeacher : !isTeacher && !(await canAccessCourse(user, session.course))) {
+    throw { status: 403, msg: "Not authorized" };
+  }
+
+  return session;
+}
+
+module.exports = {
+  courseRoom,
+  sessionRoom,
+  userRoom,
+  qrRoom,
+  authorizeCourseRoom,
+  authorizeSessionRoom,
+};
@@ -0,0 +1,95 @@
+// backend/utils/timetable.js
+
+const { getLocalDayKey } = require("../utils/dayKey");
+
+// Africa/Lagos is UTC+1 all year (no DST)
+const LAGOS_OFFSET = "+01:00";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weekday (0–6) of a YYYY-MM-DD day key
+const getDayKeyWeekday = (dayKey) => new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+
+// Absolute Date for "HH:mm" Lagos time on a given day key
+const getLagosDateTime = (dayKey, time) => new Date(`${dayKey}T${time}:00${LAGOS_OFFSET}`);
+
+// Every day key between two dates (inclusive, Lagos days)
+const getDayKeysBetween = (from, to) => {
+    const keys = [];
+    const lastKey = getLocalDayKey(to);
+    let date = new Date(`${getLocalDayKey(from)}T00:00:00Z`);
+
+    while (getLocalDayKey(date) <= lastKey) {
+        keys.push(date.toISOString().slice(0, 10));
+        date = new Date(date.getTime() + DAY_MS);
+    }
+
+    return keys;
+};
+
+// Expand one weekly slot into dated occurrences, applying per-day exceptions
+// and flagging days closed by the academic calendar
+const getSlotOccurrences = (slot, from, to, closedDays = new Set()) => {
+    return getDayKeysBetween(from, to)
+        .filter(dayKey => getDayKeyWeekday(dayKey) === slot.dayOfWeek)
+        .map(dayKey => {
+            const exception = slot.exceptions?.find(e => e.dayKey === dayKey);
+            const startTime = exception?.startTime || slot.startTime;
+            const duration = exception?.duration || slot.duration;
+            const startsAt = getLagosDateTime(dayKey, startTime);
+
+            return {
+                slotId: slot._id,
+                course: slot.course,
+                dayKey,
+                startTime,
+                duration,
+                startsAt,
+                endsAt: new Date(startsAt.getTime() + duration * 60 * 1000),
+                venue: exception?.venue || slot.venue,
+                type: slot.type,
+                skipped: !!exception?.skipped,
+                nonTeaching: closedDays.has(dayKey),
+                reason: exception?.reason || null,
+                overridden: !!exception && !exception.skipped,
+            };
+        });
+};
+
+// Planned (not skipped, not on a closed day) classes across a semester.
+// Returns null when the semester has no dates to expand against.
+const countPlannedClasses = (slots, semester, closedDays = new Set()) => {
+    if (!semester?.startDate || !semester?.endDate) return null;
+
+    return slots
+        .filter(s => s.active)
+        .reduce(
+            (total, slot) =>
+                total +
+                getSlotOccurrences(slot, semester.startDate, semester.endDate, closedDays)
+                    .filter(o => !o.skipped && !o.nonTeaching).length,
+            0
+        );
+};
+
+// Admin-entered class count for a course without a timetable, reduced by the
+// share of semester weekdays (Mon–Fri) that are closed. Null without dates.
+const prorateTotalClasses = (totalClasses, semester, closedDays = new Set()) => {
+    if (!semester?.startDate || !semester?.endDate) return null;
+
+    const weekdays = getDayKeysBetween(semester.startDate, semester.endDate)
+        .filter(dayKey => ![0, 6].includes(getDayKeyWeekday(dayKey)));
+    if (!weekdays.length) return totalClasses;
+
+    const open = weekdays.filter(dayKey => !closedDays.has(dayKey)).length;
+    return Math.round(totalClasses * (open / weekdays.length));
+};
+
+module.exports = {
+    getDayKeyWeekday,
+    getLagosDateTime,
+    getDayKeysBetween,
+    getSlotOccurrences,
+    countPlannedClasses,
+    prorateTotalClasses,
+};